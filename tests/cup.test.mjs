@@ -0,0 +1,58 @@
+// Cup contact and capture: run with `node --test tests/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGreen, createBall, stepBall, simulatePutt, maxCaptureSpeed, getPhysicsDt,
+    BALL_RADIUS_M, HOLE_RADIUS_M,
+} from '../web/js/physics.js';
+
+const flat = { height: () => 0, normal: () => ({ x: 0, y: 1, z: 0 }), trueRoll: () => ({ ax: 0, az: 0 }) };
+
+test('a ball flying over the cup does not cross the hole', () => {
+    const green = createGreen({ terrain: flat, stimp: 3 });
+    const ball = createBall([-0.1, 0.1, 0], [2, 0, 0]);
+    ball.airborne = true;
+    const seen = [];
+    for (let i = 0; i < 2000 && ball.pos[0] < HOLE_RADIUS_M + BALL_RADIUS_M; i++) {
+        const step = stepBall(green, ball, getPhysicsDt());
+        seen.push(step.crossedHole);
+        assert.equal(step.captured, false);
+    }
+    assert.ok(ball.pos[0] >= HOLE_RADIUS_M + BALL_RADIUS_M, 'ball cleared the cup');
+    assert.equal(seen.includes(true), false);
+});
+
+test('a ball rolling over the cup crosses the hole', () => {
+    const green = createGreen({ terrain: flat, stimp: 3 });
+    const ball = createBall([-(HOLE_RADIUS_M + BALL_RADIUS_M), BALL_RADIUS_M, 0], [0.5, 0, 0]);
+    let crossed = false;
+    for (let i = 0; i < 2000 && !crossed; i++) crossed = stepBall(green, ball, getPhysicsDt()).crossedHole;
+    assert.equal(crossed, true);
+});
+
+// Ball rolling at speed across the rim, offset (m) right of the hole center
+function rollIn(speed, offset = 0) {
+    const green = createGreen({ terrain: flat, stimp: 3 });
+    const back = Math.sqrt((HOLE_RADIUS_M + BALL_RADIUS_M) ** 2 - offset * offset);
+    const ball = createBall([-back, BALL_RADIUS_M, offset], [speed, 0, 0]);
+    return simulatePutt(green, ball);
+}
+
+test('a ball under the capture speed drops', () => {
+    const limit = maxCaptureSpeed(createGreen({ terrain: flat, stimp: 3 }), 0);
+    assert.ok(limit > 1 && limit < 2, `capture limit ${limit}`);
+    assert.equal(rollIn(limit * 0.8).captured, true);
+    assert.equal(rollIn(0.3).captured, true);
+});
+
+test('a ball over the capture speed lips out past the cup', () => {
+    const limit = maxCaptureSpeed(createGreen({ terrain: flat, stimp: 3 }), 0);
+    const result = rollIn(limit * 1.3);
+    assert.equal(result.captured, false);
+    assert.ok(result.rest.x > HOLE_RADIUS_M + BALL_RADIUS_M, `stopped at ${result.rest.x}`);
+});
+
+test('an edge hit holds less speed than a center hit', () => {
+    const green = createGreen({ terrain: flat, stimp: 3 });
+    assert.ok(maxCaptureSpeed(green, HOLE_RADIUS_M * 0.7) < maxCaptureSpeed(green, 0));
+});
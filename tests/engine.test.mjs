@@ -0,0 +1,55 @@
+// Fixed-step, headless engine: run with `node --test tests/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGreen, createBall, strikeBall, strikeSpeed, simulatePutt, createFixedStepper,
+    getPhysicsRate, getPhysicsDt, BALL_RADIUS_M, MAX_FRAME_DT,
+} from '../web/js/physics.js';
+
+const flat = { height: () => 0, normal: () => ({ x: 0, y: 1, z: 0 }), trueRoll: () => ({ ax: 0, az: 0 }) };
+
+function putt(distance, stimp = 3) {
+    const green = createGreen({ terrain: flat, stimp, slopeDeg: 1, slopeAzimuthDeg: 30, hole: null });
+    const ball = strikeBall(createBall([0, BALL_RADIUS_M, 0]), 1, 0.2, strikeSpeed(distance, stimp));
+    return simulatePutt(green, ball);
+}
+
+test('the same putt always stops in exactly the same place', () => {
+    assert.deepEqual(putt(3).rest, putt(3).rest);
+});
+
+test('strikeSpeed stops a rolling putt at the distance on a flat green', () => {
+    const green = createGreen({ terrain: flat, stimp: 3, hole: null });
+    for (const distance of [1, 3, 6]) {
+        const ball = strikeBall(createBall([0, BALL_RADIUS_M, 0]), 1, 0, strikeSpeed(distance, 3));
+        const { rest } = simulatePutt(green, ball);
+        assert.ok(Math.abs(rest.x - distance) < 0.05 * distance, `${distance} m putt stopped at ${rest.x}`);
+    }
+});
+
+test('the fixed stepper runs whole ticks of substeps however the frames fall', () => {
+    const { hz, substeps } = getPhysicsRate();
+    const count = (frames) => {
+        const stepper = createFixedStepper();
+        let steps = 0;
+        for (const frameDt of frames) {
+            stepper.advance(frameDt, (dt) => {
+                assert.equal(dt, getPhysicsDt());
+                steps++;
+            });
+        }
+        return steps;
+    };
+    const second = Array(hz).fill(1 / hz);
+    const jittery = second.map((dt, i) => dt * (i % 2 ? 0.5 : 1.5));
+    assert.equal(count(second.map(dt => dt * 1.000001)), hz * substeps);
+    assert.equal(count(jittery.map(dt => dt * 1.000001)), hz * substeps);
+});
+
+test('a long stall is capped instead of replayed all at once', () => {
+    const { hz, substeps } = getPhysicsRate();
+    const stepper = createFixedStepper();
+    let steps = 0;
+    stepper.advance(5, () => steps++);
+    assert.equal(steps, Math.floor(MAX_FRAME_DT * hz) * substeps);
+});
@@ -0,0 +1,31 @@
+// Flagstick contact: run with `node --test tests/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGreen, createBall, simulatePutt, maxCaptureSpeed, BALL_RADIUS_M, HOLE_RADIUS_M,
+} from '../web/js/physics.js';
+
+const flat = { height: () => 0, normal: () => ({ x: 0, y: 1, z: 0 }), trueRoll: () => ({ ax: 0, az: 0 }) };
+
+// Ball rolling at speed straight at the pin from just outside the rim
+function centerHit(speed) {
+    const green = createGreen({ terrain: flat, stimp: 3, flagstick: true });
+    const ball = createBall([-(HOLE_RADIUS_M + BALL_RADIUS_M), BALL_RADIUS_M, 0], [speed, 0, 0]);
+    return simulatePutt(green, ball);
+}
+
+test('a soft center hit on the flagstick drops', () => {
+    assert.equal(centerHit(1.0).captured, true);
+});
+
+test('a firm center hit on the flagstick bounces out', () => {
+    const result = centerHit(2.5);
+    assert.equal(result.captured, false);
+    assert.ok(Math.hypot(result.rest.x, result.rest.z) > HOLE_RADIUS_M + BALL_RADIUS_M);
+});
+
+test('the flagstick holds center hits up to a limit, not at every speed', () => {
+    const green = createGreen({ terrain: flat, stimp: 3, flagstick: true });
+    const limit = maxCaptureSpeed(green, 0);
+    assert.ok(limit > 1 && limit < 2.5, `capture limit ${limit}`);
+});
@@ -0,0 +1,35 @@
+// Skid after the strike: run with `node --test tests/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGreen, createBall, strikeBall, stepBall, simulatePutt, getPhysicsDt,
+    BALL_RADIUS_M, ROLLING_FACTOR, ROLL_SLIP_SPEED,
+} from '../web/js/physics.js';
+
+const flat = { height: () => 0, normal: () => ({ x: 0, y: 1, z: 0 }), trueRoll: () => ({ ax: 0, az: 0 }) };
+const green = createGreen({ terrain: flat, stimp: 3, hole: null });
+
+// Strike along +X and step until the skid ends; returns the ball at that moment
+function skidToRoll(speed, spinRatio) {
+    const ball = strikeBall(createBall([0, BALL_RADIUS_M, 0]), 1, 0, speed, 0, spinRatio);
+    for (let i = 0; i < 2000 && !ball.rollStart; i++) stepBall(green, ball, getPhysicsDt());
+    return ball;
+}
+
+test('a putt struck without spin skids, then rolls without slipping', () => {
+    const ball = skidToRoll(2, 0);
+    assert.ok(ball.rollStart, 'the skid ended');
+    assert.ok(ball.skidDistance > 0.05, `skid ${ball.skidDistance} m`);
+    assert.ok(Math.hypot(ball.vel[0] - ball.roll[0], ball.vel[2] - ball.roll[1]) < ROLL_SLIP_SPEED);
+    assert.ok(Math.abs(ball.vel[0] - 2 * ROLLING_FACTOR) < 0.02, `rolling at ${ball.vel[0]} m/s`);
+});
+
+test('backspin skids further than a strike without spin', () => {
+    assert.ok(skidToRoll(2, -0.3).skidDistance > skidToRoll(2, 0).skidDistance);
+});
+
+test('a putt struck with rolling spin does not skid', () => {
+    const ball = strikeBall(createBall([0, BALL_RADIUS_M, 0]), 1, 0, 2, 0, 1);
+    simulatePutt(green, ball);
+    assert.equal(ball.skidDistance, 0);
+});
@@ -4,15 +4,19 @@
 import * as THREE from 'three';
 
 const vertexShader = /* glsl */ `
+    attribute float speedScale;
+
     varying vec3 vWorldPosition;
     varying vec3 vWorldNormal;
     varying float vLocalHeight;
+    varying float vSpeedScale;
 
     void main() {
         vec4 worldPos = modelMatrix * vec4(position, 1.0);
         vWorldPosition = worldPos.xyz;
         vWorldNormal = normalize(mat3(modelMatrix) * normal);
         vLocalHeight = position.y;  // terrain height before worldGroup rotation
+        vSpeedScale = speedScale;
         gl_Position = projectionMatrix * viewMatrix * worldPos;
     }
 `;
@@ -23,6 +27,7 @@ const fragmentShader = /* glsl */ `
     varying vec3 vWorldPosition;
     varying vec3 vWorldNormal;
     varying float vLocalHeight;
+    varying float vSpeedScale;
 
     uniform vec3 uLightPos;
     uniform vec3 uViewPos;
@@ -33,6 +38,7 @@ const fragmentShader = /* glsl */ `
     uniform float uEnAmbient;
     uniform float uEnSpecular;
     uniform float uEnFresnel;
+    uniform float uSpeedTint;
 
     // Scale factor: 60m world → 12m world
     const float S = 0.4;
@@ -164,6 +170,11 @@ const fragmentShader = /* glsl */ `
 
         vec3 grassCol = grassColor(uv, vLocalHeight);
 
+        // Speed map tint: firm / fast areas toward straw, slow / damp areas toward blue-green
+        float speedT = clamp((vSpeedScale - 1.0) * 2.5, -1.0, 1.0) * uSpeedTint;
+        vec3 speedCol = speedT > 0.0 ? vec3(0.52, 0.48, 0.20) : vec3(0.10, 0.25, 0.24);
+        grassCol = mix(grassCol, speedCol, abs(speedT) * 0.65);
+
         // Amplify terrain slope so height variations are visible in lighting
         vec3 terrainN = vWorldNormal;
         terrainN.xz *= uSlopeAmplify;
@@ -230,6 +241,7 @@ export function createGreenMaterial(seedA, seedB) {
             uEnAmbient:    { value: 0.45 },
             uEnSpecular:   { value: 1.0 },
             uEnFresnel:    { value: 1.0 },
+            uSpeedTint:    { value: 0.0 },
         },
         side: THREE.DoubleSide,
     });
@@ -1,14 +1,20 @@
 // Green organic shape — SDF (Signed Distance Field) ported from golf_green.html
 // Scaled down from 60m world to 12m world (factor ~0.4)
 
+import { mulberry32 } from './terrain.js';
+
+// Salt so the shape stream differs from the terrain grids built from the same green seed
+const SHAPE_SEED_SALT = 0x5A17E5;
+
 // ---- Shape seeds (randomized per terrain) ----
 let shapeSeedA = new Float32Array(4);
 let shapeSeedB = new Float32Array(4);
 
-export function generateShapeSeeds() {
+export function generateShapeSeeds(seed) {
+    const rand = seed != null ? mulberry32(seed ^ SHAPE_SEED_SALT) : Math.random;
     for (let i = 0; i < 4; i++) {
-        shapeSeedA[i] = Math.random();
-        shapeSeedB[i] = Math.random();
+        shapeSeedA[i] = rand();
+        shapeSeedB[i] = rand();
     }
 }
 
@@ -16,6 +22,12 @@ export function getShapeSeeds() {
     return { seedA: shapeSeedA, seedB: shapeSeedB };
 }
 
+// Restore seeds saved from getShapeSeeds (e.g. from an exported green)
+export function setShapeSeeds(seedA, seedB) {
+    shapeSeedA.set(seedA);
+    shapeSeedB.set(seedB);
+}
+
 // Initialize with random seeds
 generateShapeSeeds();
 
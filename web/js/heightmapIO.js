@@ -0,0 +1,371 @@
+// Heightmap file formats — PNG images, ASCII/CSV elevation grids and exported green files.
+// No DOM: PNG data goes through (De)CompressionStream, so this also runs in Node.
+
+// ---- ASCII / CSV elevation grids ----
+
+const ESRI_HEADER_KEYS = ['ncols', 'nrows', 'xllcorner', 'yllcorner', 'xllcenter', 'yllcenter', 'cellsize', 'nodata_value'];
+
+/**
+ * Parse a plain elevation grid: one row per line, values separated by commas,
+ * semicolons, tabs or spaces. Blank lines and "#" comments are skipped.
+ * An ESRI ASCII grid header (ncols, nrows, cellsize, NODATA_value…) is accepted.
+ * Returns { rows, cellSize } — cellSize is null unless the header states it.
+ */
+export function parseElevationGrid(text) {
+    let cellSize = null;
+    let noData = null;
+    const rows = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        const fields = line.split(/[\s,;]+/).filter(Boolean);
+
+        const key = fields[0].toLowerCase();
+        if (rows.length === 0 && ESRI_HEADER_KEYS.includes(key)) {
+            const v = parseFloat(fields[1]);
+            if (key === 'cellsize') cellSize = v;
+            if (key === 'nodata_value') noData = v;
+            continue;
+        }
+
+        const row = fields.map(Number);
+        if (row.some(v => !Number.isFinite(v))) {
+            throw new Error(`Line ${rows.length + 1} of the elevation grid is not numeric`);
+        }
+        rows.push(row);
+    }
+
+    if (rows.length < 2) throw new Error('Elevation grid needs at least 2 rows');
+    const cols = rows[0].length;
+    if (cols < 2) throw new Error('Elevation grid needs at least 2 columns');
+    if (rows.some(r => r.length !== cols)) throw new Error('Elevation grid rows have different lengths');
+
+    // Fill NODATA cells with the mean of the valid ones
+    if (noData != null) {
+        let sum = 0, n = 0;
+        for (const r of rows) for (const v of r) if (v !== noData) { sum += v; n++; }
+        const fill = n > 0 ? sum / n : 0;
+        for (const r of rows) for (let i = 0; i < cols; i++) if (r[i] === noData) r[i] = fill;
+    }
+
+    return { rows, cellSize };
+}
+
+// ---- PNG ----
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Undo the per-scanline PNG filters in place; returns the raw scanlines
+function unfilter(data, height, stride, bpp) {
+    const out = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const dst = y * stride;
+        for (let i = 0; i < stride; i++) {
+            const x = data[src + i];
+            const a = i >= bpp ? out[dst + i - bpp] : 0;
+            const b = y > 0 ? out[dst - stride + i] : 0;
+            const c = i >= bpp && y > 0 ? out[dst - stride + i - bpp] : 0;
+            let v;
+            switch (filter) {
+                case 0: v = x; break;
+                case 1: v = x + a; break;
+                case 2: v = x + b; break;
+                case 3: v = x + ((a + b) >> 1); break;
+                case 4: v = x + paeth(a, b, c); break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            out[dst + i] = v & 0xff;
+        }
+    }
+    return out;
+}
+
+function readSample(lines, offset, index, bitDepth) {
+    if (bitDepth === 16) return (lines[offset + index * 2] << 8) | lines[offset + index * 2 + 1];
+    if (bitDepth === 8) return lines[offset + index];
+    const perByte = 8 / bitDepth;
+    const byte = lines[offset + Math.floor(index / perByte)];
+    const shift = 8 - bitDepth * (index % perByte + 1);
+    return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Decode a PNG into grayscale values in 0..1, row-major (row 0 = top).
+ * Supports gray, gray+alpha, RGB, RGBA and palette images at any bit depth
+ * (16-bit precision is kept); color is reduced to luminance. No interlacing.
+ * Returns { width, height, bitDepth, data: Float64Array }.
+ */
+export async function decodePng(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    let palette = null;
+    const idat = [];
+
+    for (let pos = 8; pos + 8 <= bytes.length;) {
+        const len = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const body = bytes.subarray(pos + 8, pos + 8 + len);
+        if (type === 'IHDR') {
+            width = view.getUint32(pos + 8);
+            height = view.getUint32(pos + 12);
+            bitDepth = body[8];
+            colorType = body[9];
+            interlace = body[12];
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos += 12 + len;
+    }
+
+    const channels = PNG_CHANNELS[colorType];
+    if (!width || !height || !channels) throw new Error('Unsupported or corrupt PNG header');
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    if (colorType === 3 && !palette) throw new Error('Palette PNG without a palette');
+
+    const compressed = new Uint8Array(idat.reduce((n, c) => n + c.length, 0));
+    let off = 0;
+    for (const c of idat) { compressed.set(c, off); off += c.length; }
+
+    const stride = Math.ceil(width * channels * bitDepth / 8);
+    const bpp = Math.max(1, channels * bitDepth / 8);
+    const lines = unfilter(await inflate(compressed), height, stride, bpp);
+
+    const max = (1 << bitDepth) - 1;
+    const lum = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+    const data = new Float64Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const rowOff = y * stride;
+        for (let x = 0; x < width; x++) {
+            const s = (k) => readSample(lines, rowOff, x * channels + k, bitDepth);
+            let v;
+            if (colorType === 0 || colorType === 4) {
+                v = s(0) / max;
+            } else if (colorType === 3) {
+                const p = s(0) * 3;
+                v = lum(palette[p], palette[p + 1], palette[p + 2]) / 255;
+            } else {
+                v = lum(s(0), s(1), s(2)) / max;
+            }
+            data[y * width + x] = v;
+        }
+    }
+    return { width, height, bitDepth, data };
+}
+
+/** Split decoded PNG data into rows (row 0 = top of the image = -Z on the green). */
+export function pngToRows(png) {
+    const rows = [];
+    for (let y = 0; y < png.height; y++) {
+        rows.push(Array.from(png.data.subarray(y * png.width, (y + 1) * png.width)));
+    }
+    return rows;
+}
+
+function pngChunk(type, body) {
+    const chunk = new Uint8Array(12 + body.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(body, 8);
+    view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+    return chunk;
+}
+
+/**
+ * Encode rows of values in 0..1 (row 0 = top) as a 16-bit grayscale PNG.
+ * text: optional { keyword: value } pairs stored as tEXt chunks (Latin-1).
+ * Returns the file bytes.
+ */
+export async function encodePng16(rows, text = {}) {
+    const height = rows.length, width = rows[0].length;
+    const stride = width * 2;
+    const raw = new Uint8Array(height * (stride + 1));
+    for (let y = 0; y < height; y++) {
+        const off = y * (stride + 1); // filter byte 0 (None)
+        for (let x = 0; x < width; x++) {
+            const v = Math.round(Math.min(Math.max(rows[y][x], 0), 1) * 65535);
+            raw[off + 1 + x * 2] = v >> 8;
+            raw[off + 2 + x * 2] = v & 0xff;
+        }
+    }
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = 16; // bit depth
+    ihdr[9] = 0;  // grayscale
+
+    const chunks = [new Uint8Array(PNG_SIGNATURE), pngChunk('IHDR', ihdr)];
+    for (const [key, value] of Object.entries(text)) {
+        const str = `${key}\0${value}`;
+        chunks.push(pngChunk('tEXt', Uint8Array.from(str, ch => ch.charCodeAt(0) & 0xff)));
+    }
+    chunks.push(pngChunk('IDAT', await deflate(raw)), pngChunk('IEND', new Uint8Array(0)));
+
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let off = 0;
+    for (const c of chunks) { out.set(c, off); off += c.length; }
+    return out;
+}
+
+// ---- Green files (JSON) ----
+
+export const GREEN_FILE_FORMAT = 'stimp-green';
+export const GREEN_FILE_VERSION = 1;
+
+/**
+ * Serialize a green: { seed, slope, slopeAzimuth, stimp, trueRoll, hole: {x, z}, shapeSeeds: {seedA, seedB},
+ * worldSize, heightScale, generator, grain, marks, placedMarks, grids: {height, trueRollX, trueRollZ, features, speed} }.
+ * speed (stimp multipliers) is optional and only written when the green has a speed map.
+ * marks (the seeded surface mark settings) and placedMarks ([{ type, x, z, angle }, …]) are
+ * optional; the seeded marks and the varying grain are scattered again from seed on load.
+ * Heights stay in grid units (× heightScale = meters) so a reload is exact.
+ */
+export function encodeGreenFile(green) {
+    const { grids } = green;
+    return JSON.stringify({
+        format: GREEN_FILE_FORMAT,
+        version: GREEN_FILE_VERSION,
+        seed: green.seed,
+        slope: green.slope,
+        slopeAzimuth: green.slopeAzimuth,
+        stimp: green.stimp,
+        trueRoll: green.trueRoll,
+        hole: { x: green.hole.x, z: green.hole.z },
+        shapeSeeds: { seedA: Array.from(green.shapeSeeds.seedA), seedB: Array.from(green.shapeSeeds.seedB) },
+        worldSize: green.worldSize,
+        heightScale: green.heightScale,
+        generator: green.generator,
+        grain: green.grain,
+        ...(green.marks ? { marks: green.marks } : {}),
+        ...(green.placedMarks?.length ? { placedMarks: green.placedMarks } : {}),
+        gridSize: grids.height.length,
+        heightGrid: grids.height,
+        trueRollAx: grids.trueRollX,
+        trueRollAy: grids.trueRollZ,
+        features: grids.features ?? [],
+        ...(grids.speed ? { speedGrid: grids.speed } : {}),
+    });
+}
+
+function checkGrid(grid, name) {
+    const n = Array.isArray(grid) ? grid.length : 0;
+    if (n < 2 || !grid.every(row => Array.isArray(row) && row.length === n && row.every(Number.isFinite))) {
+        throw new Error(`Green file: ${name} must be a square grid of numbers`);
+    }
+    return grid;
+}
+
+function checkNumber(v, name) {
+    if (!Number.isFinite(v)) throw new Error(`Green file: ${name} is missing or not a number`);
+    return v;
+}
+
+// Features are informational (already baked into heightGrid); older files have none
+function checkFeatures(list) {
+    if (list == null) return [];
+    if (!Array.isArray(list)) throw new Error('Green file: features must be a list');
+    return list.map((f, i) => ({
+        type: String(f?.type),
+        x: checkNumber(f?.x, `features[${i}].x`),
+        z: checkNumber(f?.z, `features[${i}].z`),
+        angle: checkNumber(f?.angle, `features[${i}].angle`),
+        height: checkNumber(f?.height, `features[${i}].height`),
+        width: checkNumber(f?.width, `features[${i}].width`),
+    }));
+}
+
+// Hand-placed surface marks; older files have none
+function checkPlacedMarks(list) {
+    if (list == null) return [];
+    if (!Array.isArray(list)) throw new Error('Green file: placedMarks must be a list');
+    return list.map((m, i) => ({
+        type: String(m?.type),
+        x: checkNumber(m?.x, `placedMarks[${i}].x`),
+        z: checkNumber(m?.z, `placedMarks[${i}].z`),
+        angle: Number.isFinite(m?.angle) ? m.angle : 0,
+    }));
+}
+
+/** Parse and validate a file written by encodeGreenFile; returns the same shape of object. */
+export function decodeGreenFile(text) {
+    let f;
+    try {
+        f = JSON.parse(text);
+    } catch {
+        throw new Error('Green file is not valid JSON');
+    }
+    if (!f || f.format !== GREEN_FILE_FORMAT) throw new Error('Not a green file');
+    if (!(f.version <= GREEN_FILE_VERSION)) throw new Error(`Green file version ${f.version} is newer than this app`);
+
+    const seeds = f.shapeSeeds || {};
+    for (const k of ['seedA', 'seedB']) {
+        if (!Array.isArray(seeds[k]) || seeds[k].length !== 4 || !seeds[k].every(Number.isFinite)) {
+            throw new Error(`Green file: shapeSeeds.${k} must hold 4 numbers`);
+        }
+    }
+    return {
+        seed: checkNumber(f.seed, 'seed'),
+        slope: checkNumber(f.slope, 'slope'),
+        slopeAzimuth: Number.isFinite(f.slopeAzimuth) ? f.slopeAzimuth : 0, // absent before azimuths
+        stimp: checkNumber(f.stimp, 'stimp'),
+        trueRoll: checkNumber(f.trueRoll, 'trueRoll'),
+        hole: { x: checkNumber(f.hole?.x, 'hole.x'), z: checkNumber(f.hole?.z, 'hole.z') },
+        shapeSeeds: { seedA: seeds.seedA, seedB: seeds.seedB },
+        worldSize: checkNumber(f.worldSize, 'worldSize'),
+        heightScale: checkNumber(f.heightScale, 'heightScale'),
+        generator: f.generator && typeof f.generator === 'object' ? f.generator : null,
+        grain: f.grain && typeof f.grain === 'object' ? f.grain : null,
+        marks: f.marks && typeof f.marks === 'object' ? f.marks : null,
+        placedMarks: checkPlacedMarks(f.placedMarks),
+        grids: {
+            height: checkGrid(f.heightGrid, 'heightGrid'),
+            trueRollX: checkGrid(f.trueRollAx, 'trueRollAx'),
+            trueRollZ: checkGrid(f.trueRollAy, 'trueRollAy'),
+            features: checkFeatures(f.features),
+            speed: f.speedGrid == null ? null : checkGrid(f.speedGrid, 'speedGrid'),
+        },
+    };
+}
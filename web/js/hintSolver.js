@@ -0,0 +1,189 @@
+// Hint solver — finds a putt that holes from the ball's position.
+// Headless like physics.js, so it runs in the hint worker (and in Node).
+
+import { simulatePutt, createBall, strikeBall, strikeSpeed, getPhysicsDt, BALL_RADIUS_M } from './physics.js';
+import { passHole, lineThroughHole } from './makeOdds.js';
+
+export const HINT_PACE = 0.15;     // the hint line would finish this far past the cup without it (m)
+const HINT_SWEEP_DEG = 90;         // coarse sweep either side of straight at the hole
+const HINT_SWEEP_STEP = 5;         // (deg)
+const HINT_SWEEP_ROUNDS = 3;       // sweeps, each at the speed the last one's line came out at
+const HINT_SWEEP_SETTLED = 0.15;   // ...until that speed moves less than this (fraction)
+const HINT_BRACKETS = 3;           // side changes tried, nearest straight first
+const HINT_PACE_STEP = 0.15;       // firmer again when a line lips out (m)
+const HINT_PACE_MAX = 1.2;
+const HINT_RECORD_EVERY = 4;
+const HINT_LINE_PASSES = 2;        // direction / speed rounds per line (see lineThroughHole)
+const MARGIN_SCAN_DEG = 0.25;      // capture margin: start direction turned this much at a time
+const MARGIN_SCAN_MAX = 6;         // ...up to this far (deg)
+const MARGIN_ITERS = 6;            // then bisected
+
+const ZERO_BREAK_SCAN_DEG = 5;     // zero-break spots: tried round the hole this far apart...
+const ZERO_BREAK_SCAN_MAX = 60;    // ...up to this far either side of the fall line (deg)
+const ZERO_BREAK_ITERS = 8;        // then bisected
+const ZERO_BREAK_SPEED_ITERS = 9;
+const ZERO_BREAK_SPEED_RANGE = [0.2, 2]; // speed searched, as multiples of the flat-green speed
+
+// Paces a hint line can be asked for: how far past the cup it would finish without it (m)
+export const HINT_PACES = [
+    { name: 'Dies at the hole', pace: 0.05 },
+    { name: '17 inches past', pace: 0.43 },
+    { name: 'Firm, 1 m past', pace: 1.0 },
+];
+
+/**
+ * Putt from start that rolls through the center of the cup at pace and drops.
+ * Coarse to fine: sweep the start direction to find where the ball switches from
+ * passing left of the hole to passing right (again at the line's own speed when the
+ * flat-green guess was far off), bisect direction and speed inside that bracket
+ * (lineThroughHole), then roll it with the cup; if it doesn't drop, try it a little
+ * firmer, up to paceMax (pass pace itself to hold the pace). onProgress(fraction) is
+ * called as the search goes.
+ * Returns { path, dirX, dirZ, speed, holeSpeed, pace, margin }, or null when nothing drops.
+ */
+export function solveHint(green, start, {
+    pace = HINT_PACE, paceMax = HINT_PACE_MAX, launchDeg = 0, spinRatio = 1, dt = getPhysicsDt(),
+    onProgress = () => {},
+} = {}) {
+    const opts = { launchDeg, spinRatio, dt };
+    const hx = green.hole.x - start[0], hz = green.hole.z - start[2];
+    const dist = Math.hypot(hx, hz);
+    if (dist < 1e-6) return null;
+    const ux = hx / dist, uz = hz / dist;
+
+    // Coarse: which side of the hole the ball passes, every HINT_SWEEP_STEP degrees
+    const sweepBrackets = (speed) => {
+        let prev = null;
+        const found = [];
+        for (let deg = -HINT_SWEEP_DEG; deg <= HINT_SWEEP_DEG; deg += HINT_SWEEP_STEP) {
+            const t = deg * Math.PI / 180;
+            const c = Math.cos(t), s = Math.sin(t);
+            const lat = passHole(green, start, ux * c - uz * s, uz * c + ux * s, speed, opts).lat;
+            if (prev && prev.lat <= 0 && lat > 0) found.push([prev.deg, deg]);
+            prev = { deg, lat };
+        }
+        return found.sort((a, b) => Math.abs(a[0] + a[1]) - Math.abs(b[0] + b[1])).slice(0, HINT_BRACKETS);
+    };
+    let speed = strikeSpeed(dist + pace, green.stimp, spinRatio);
+    let brackets = [];
+    for (let round = 0; round < HINT_SWEEP_ROUNDS; round++) {
+        brackets = sweepBrackets(speed);
+        onProgress(0.3 * (round + 1) / HINT_SWEEP_ROUNDS);
+        if (!brackets.length) break;
+        const [fromDeg, toDeg] = brackets[0];
+        const next = lineThroughHole(green, start, pace, { ...opts, fromDeg, toDeg }).speed;
+        if (Math.abs(next / speed - 1) < HINT_SWEEP_SETTLED) break;
+        speed = next;
+    }
+    onProgress(0.3);
+
+    // Fine: bisect in each bracket, firmer until it drops
+    const tries = brackets.length * Math.floor(Math.max(0, paceMax - pace) / HINT_PACE_STEP + 1);
+    let tried = 0;
+    for (const [fromDeg, toDeg] of brackets) {
+        for (let p = pace; p <= Math.max(pace, paceMax) + 1e-9; p += HINT_PACE_STEP) {
+            const line = lineThroughHole(green, start, p, { ...opts, fromDeg, toDeg, passes: HINT_LINE_PASSES });
+            const ball = strikeBall(createBall(start.slice()), line.dirX, line.dirZ, line.speed, launchDeg, spinRatio);
+            const result = simulatePutt(green, ball, { dt, recordEvery: HINT_RECORD_EVERY });
+            onProgress(0.3 + 0.7 * ++tried / tries);
+            if (result.captured) {
+                const margin = captureMargin(green, start, line, opts);
+                return { path: result.path, ...line, holeSpeed: result.holeSpeed, pace: p, margin };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * How far the holing line's start direction can be off at the same speed and still
+ * drop, either side, as the sideways distance that makes at the hole (m).
+ * Returns { left, right }.
+ */
+export function captureMargin(green, start, { dirX, dirZ, speed }, { launchDeg = 0, spinRatio = 1, dt = getPhysicsDt() } = {}) {
+    const dist = Math.hypot(green.hole.x - start[0], green.hole.z - start[2]);
+    const drops = (rad) => {
+        const c = Math.cos(rad), s = Math.sin(rad);
+        const ball = strikeBall(createBall(start.slice()), dirX * c - dirZ * s, dirZ * c + dirX * s, speed, launchDeg, spinRatio);
+        return simulatePutt(green, ball, { dt }).captured;
+    };
+    const edge = (side) => {
+        const step = side * MARGIN_SCAN_DEG * Math.PI / 180;
+        let lo = 0;
+        while (Math.abs(lo + step) <= MARGIN_SCAN_MAX * Math.PI / 180 && drops(lo + step)) lo += step;
+        let hi = lo + step;
+        for (let i = 0; i < MARGIN_ITERS; i++) {
+            const mid = (lo + hi) / 2;
+            if (drops(mid)) lo = mid; else hi = mid;
+        }
+        return dist * Math.abs(Math.sin(lo));
+    };
+    return { left: edge(-1), right: edge(1) };
+}
+
+/**
+ * Where putts struck straight at the hole don't break. For each distance, the spot round
+ * the hole nearest the fall line, above (uphill of) the hole and below it, from which the
+ * putt aimed dead at the hole at pace passes it dead center: spots are tried further and
+ * further round from the fall line until the straight putt passes on the other side, then
+ * bisected. (fallX, fallZ) is the downhill direction at the hole.
+ * Returns { above: [{ x, z } or null, …], below: […] }, one per distance.
+ */
+export function zeroBreakLine(green, fallX, fallZ, distances, {
+    pace = HINT_PACE, launchDeg = 0, spinRatio = 1, dt = getPhysicsDt(), onProgress = () => {},
+} = {}) {
+    const opts = { launchDeg, spinRatio, dt };
+    const { hole } = green;
+    const spot = (dist, rad) => {
+        const x = hole.x + Math.cos(rad) * dist, z = hole.z + Math.sin(rad) * dist;
+        const onGreen = !green.inBounds || green.inBounds(x, z);
+        return { x, z, onGreen, start: [x, green.terrain.height(x, z) + BALL_RADIUS_M, z] };
+    };
+    const straight = (dist, rad, speed) => {
+        const p = spot(dist, rad);
+        return p.onGreen ? passHole(green, p.start, hole.x - p.x, hole.z - p.z, speed, opts) : null;
+    };
+
+    const solve = (dist, rad0) => {
+        const p0 = spot(dist, rad0);
+        if (!p0.onGreen) return null;
+        // Speed that rolls the straight putt from the fall line pace past the hole
+        const flat = strikeSpeed(dist + pace, green.stimp, spinRatio);
+        let lo = flat * ZERO_BREAK_SPEED_RANGE[0], hi = flat * ZERO_BREAK_SPEED_RANGE[1];
+        for (let i = 0; i < ZERO_BREAK_SPEED_ITERS; i++) {
+            const mid = (lo + hi) / 2;
+            if (passHole(green, p0.start, hole.x - p0.x, hole.z - p0.z, mid, opts).past > pace) hi = mid; else lo = mid;
+        }
+        const speed = (lo + hi) / 2;
+
+        const side0 = Math.sign(straight(dist, rad0, speed).lat);
+        if (side0 === 0) return { x: p0.x, z: p0.z };
+        const step = ZERO_BREAK_SCAN_DEG * Math.PI / 180;
+        for (let k = 1; k * ZERO_BREAK_SCAN_DEG <= ZERO_BREAK_SCAN_MAX; k++) {
+            for (const turn of [1, -1]) {
+                const pass = straight(dist, rad0 + turn * k * step, speed);
+                if (!pass || Math.sign(pass.lat) === side0) continue;
+                let a = rad0 + turn * (k - 1) * step, b = rad0 + turn * k * step;
+                for (let i = 0; i < ZERO_BREAK_ITERS; i++) {
+                    const mid = (a + b) / 2;
+                    const m = straight(dist, mid, speed);
+                    if (m && Math.sign(m.lat) === side0) a = mid; else b = mid;
+                }
+                const { x, z } = spot(dist, (a + b) / 2);
+                return { x, z };
+            }
+        }
+        return null;
+    };
+
+    const up = Math.atan2(-fallZ, -fallX), down = Math.atan2(fallZ, fallX);
+    const above = [], below = [];
+    let done = 0;
+    for (const dist of distances) {
+        above.push(solve(dist, up));
+        onProgress(++done / (2 * distances.length));
+        below.push(solve(dist, down));
+        onProgress(++done / (2 * distances.length));
+    }
+    return { above, below };
+}
@@ -0,0 +1,46 @@
+// Hint worker — runs solveHint off the main thread so the page keeps drawing.
+// main.js keeps one instance for the hint, break chart, zero-break and auto-map
+// lines (postSolverRequest).
+// Each request carries the whole green as plain data (getSamplerState, shape seeds,
+// physics rate) and the lines wanted ([{ pace, paceMax }, …]); progress over all of
+// them and the results, in the same order, go back tagged with the request id.
+// A request with task 'zeroBreak' runs zeroBreakLine instead (fall direction and
+// distances in zeroBreak) and answers with its { above, below } spots; task 'line'
+// runs lineThroughHole from start (pace and search in options) and answers with the line.
+
+import { setSamplerState, terrainSampler } from './terrain.js';
+import { setShapeSeeds, greenSignedDistance } from './greenShape.js';
+import { createGreen, setPhysicsRate } from './physics.js';
+import { solveHint, zeroBreakLine } from './hintSolver.js';
+import { lineThroughHole } from './makeOdds.js';
+
+self.onmessage = (e) => {
+    const { id, task, terrain, shapeSeeds, settings, physics, start, options, lines, zeroBreak } = e.data;
+    setSamplerState(terrain);
+    setShapeSeeds(shapeSeeds.seedA, shapeSeeds.seedB);
+    setPhysicsRate(physics.hz, physics.substeps);
+    const green = createGreen({
+        ...settings,
+        terrain: terrainSampler,
+        inBounds: (x, z) => greenSignedDistance(x, z) <= 0,
+    });
+    if (task === 'zeroBreak') {
+        const spots = zeroBreakLine(green, zeroBreak.fallX, zeroBreak.fallZ, zeroBreak.distances, {
+            ...options,
+            onProgress: fraction => self.postMessage({ id, type: 'progress', fraction }),
+        });
+        self.postMessage({ id, type: 'result', zeroBreak: spots });
+        return;
+    }
+    if (task === 'line') {
+        const { pace, ...opts } = options;
+        self.postMessage({ id, type: 'result', line: lineThroughHole(green, start, pace, opts) });
+        return;
+    }
+    const hints = lines.map((line, i) => solveHint(green, start, {
+        ...options,
+        ...line,
+        onProgress: f => self.postMessage({ id, type: 'progress', fraction: (i + f) / lines.length }),
+    }));
+    self.postMessage({ id, type: 'result', hints });
+};
@@ -2,29 +2,44 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import {
     buildTrueRollGrids, getTerrainHeight, getTerrainNormal, trueRollAccel,
-    setTrueRollStrength, getTrueRollStrength,
-    TR_GRID_SIZE, TR_WORLD_SIZE, HEIGHT_SCALE, TR_TARGET_AMP
+    setTrueRollStrength, getTrueRollStrength, terrainSampler,
+    importHeightGrid, importTrueRollGrid, getTerrainGrids, setTerrainGrids, sculptHeight,
+    getFeatures, FEATURE_TYPES, getGridSize, getSamplerState,
+    getGeneratorSettings, setGeneratorSettings, defaultGeneratorSettings,
+    getGrainSettings, setGrainSettings, GRAIN_MODES,
+    getSpeedMapSettings, setSpeedMapSettings, paintSpeed, speedScaleAt,
+    getSurfaceMarkSettings, setSurfaceMarkSettings, getSurfaceMarks, getPlacedSurfaceMarks,
+    setPlacedSurfaceMarks, placeSurfaceMark, SURFACE_MARK_TYPES,
+    BALL_MARK_RADIUS, SPIKE_MARK_LENGTH, SPIKE_MARK_WIDTH, AERATION_HOLE_RADIUS,
+    TR_WORLD_SIZE, HEIGHT_SCALE, TR_TARGET_AMP
 } from './terrain.js';
-import { greenSignedDistance, generateShapeSeeds, getShapeSeeds, greenBoundingRadius } from './greenShape.js';
+import {
+    BALL_RADIUS_M, HOLE_RADIUS_M, FLAGSTICK_RADIUS_M,
+    strikeBall, strikeSpeed,
+    slopeDirection, tiltedGravity, surfaceGravity,
+    createGreen, createBall, stepBall, simulatePutt, maxCaptureSpeed,
+    createFixedStepper, setPhysicsRate, getPhysicsRate, strikeDistance, SUBSTEPS_DEFAULT
+} from './physics.js';
+import { greenSignedDistance, generateShapeSeeds, getShapeSeeds, setShapeSeeds, greenBoundingRadius } from './greenShape.js';
 import { createGreenMaterial } from './greenShader.js';
+import { encodeScenario, decodeScenario } from './scenario.js';
+import {
+    simulateMakeOdds, makeErrorSamples, paceMakeOdds, betterOdds,
+    ODDS_TRIALS_DEFAULT, ODDS_DIR_SIGMA_DEFAULT, ODDS_SPEED_SIGMA_DEFAULT, SKILL_LEVELS, LINE_PACES,
+} from './makeOdds.js';
+import { HINT_PACES } from './hintSolver.js';
+import {
+    parseElevationGrid, decodePng, pngToRows, encodePng16, encodeGreenFile, decodeGreenFile,
+} from './heightmapIO.js';
 
 // ---- Constants (match Python) ----
 const GREEN_COLOR = new THREE.Color(0.08, 0.55, 0.24);
 const BG_COLOR = new THREE.Color(0.08, 0.09, 0.11);
-const BALL_RADIUS_M = 0.0215;
-const HOLE_RADIUS_M = 2.0 * BALL_RADIUS_M;
 const CAMERA_HEIGHT = 5.0;
 const BALL_CIRCLE_RADIUS_DEFAULT = 3.0;
 const BALL_CIRCLE_MIN = 1.0;
 const BALL_CIRCLE_MAX = 5.5;
 const BALL_CIRCLE_STEP = 0.5;
-const STIMP_V0 = 1.83;  // standard stimp meter launch speed (m/s)
-const GRAVITY = 9.81;
-const ROLLING_FACTOR = 5.0 / 7.0;
-const BOUNCE_DAMPING = 0.3;
-const BOUNCE_FRICTION = 0.8;
-const MIN_BOUNCE_VEL = 0.05;
-const LANDING_THRESHOLD = 0.001;
 const STIMP_DEFAULT = 3.0;
 const MAX_GHOST_DIST = 0.40;  // max ghost rest distance from hole for valid hole-in (meters)
 const ANGLE_STEP_DEG = 0.1;
@@ -33,29 +48,62 @@ const LAUNCH_ANGLE_DEFAULT = 5;
 const LAUNCH_ANGLE_MIN = -4;
 const LAUNCH_ANGLE_MAX = 15;
 const LAUNCH_ANGLE_STEP = 1;
-const SPIN_EFFECT_STRENGTH = 0.15;
-const SPIN_DECAY_RATE = 2.0;
+const STRIKE_SPIN_DEFAULT = 0;       // spin off the face as a fraction of rolling spin (0 = none, 1 = rolling)
+const STRIKE_SPIN_MIN = -1;
+const STRIKE_SPIN_MAX = 1;
+const LOFT_BACKSPIN_PER_DEG = 0.05;  // backspin (fraction of rolling spin) each degree of launch adds
 const ZOOM_DEFAULT = 45.0;
 const ZOOM_MIN = 1.0;
 const ZOOM_MAX = 90.0;
 const ZOOM_STEP = 5.0;
-
-function stimpToMu(s) {
-    const v0 = 1.83;
-    return v0 * v0 / (2.0 * GRAVITY * s);
-}
-
-function getGradientAt(x, z, curAngleDeg) {
-    const globalSlopeZ = GRAVITY * Math.sin(curAngleDeg * Math.PI / 180) * ROLLING_FACTOR;
-    const normal = getTerrainNormal(x, z);
-    let gx = -normal.x * GRAVITY * ROLLING_FACTOR;
-    let gz = -normal.z * GRAVITY * ROLLING_FACTOR + globalSlopeZ;
+const SCULPT_RADIUS_DEFAULT = 0.6;   // brush radius (m)
+const SCULPT_STRENGTH_DEFAULT = 0.5;
+const SCULPT_RATE = 0.01;            // raise/lower speed at the brush center at full strength (m/s)
+const SCULPT_BLEND_RATE = 4.0;       // smooth/flatten blend rate at full strength (1/s)
+const FLAGSTICK_HEIGHT = 2.13;       // flagstick height above the green (m)
+const SPEED_PAINT_RATE = 0.5;        // faster/slower change of the stimp multiplier at the brush center, full strength (1/s)
+const STROKE_PX_PER_CM = 5;          // stroke pad drag per cm of backswing
+const STROKE_MAX_CM = 40;            // longest backswing the pad or key accepts
+const STROKE_MIN_CM = 1;             // shorter pulls are taken as a tap and ignored
+const STROKE_START_CM = 0.5;         // pull at which the backswing clock starts
+const STROKE_TEMPO_REF = 0.6;        // backswing time of a smooth pendulum stroke (s)
+const STROKE_TEMPO_MIN = 0.25;
+const STROKE_TEMPO_MAX = 1.5;
+const STROKE_TEMPO_WEIGHT = 0.5;     // how much a rushed / slow backswing changes speed (1 = pure pendulum)
+const STROKE_SMASH = 1.6;            // ball speed per unit of putter-head speed
+const STROKE_FACE_GAIN = 0.1;        // share of the drag's turn the face still carries at impact
+const STROKE_FACE_SHARE = 0.83;      // start direction follows the face this much, the path the rest
+const STROKE_KEY_RATE = 30;          // backswing growth while SPACE is held (cm/s)
+const STROKE_KEY_WAIT = 2;           // a key stroke is called off if SPACE isn't pressed again to strike within this (s)
+const STROKE_KEY_DRIFT = 8;          // sideways drift while LEFT/RIGHT is held during a key stroke (cm/s)
+
+// Rolling acceleration from the tilted green and the local terrain (same projection as physics.js)
+function getGradientAt(x, z, curAngleDeg, curAzimuthDeg = slopeAzimuthDeg) {
+    const sg = surfaceGravity(tiltedGravity(curAngleDeg, curAzimuthDeg), getTerrainNormal(x, z));
+    let gx = sg.ax;
+    let gz = sg.az;
     const tr = trueRollAccel(x, z, 0.3, 0.0);
     gx += tr.ax;
     gz += tr.az;
     return { gx, gz };
 }
 
+// Height above the horizontal once the green is tilted (for uphill / downhill)
+function effectiveElevation(x, z) {
+    const t = angleDeg * Math.PI / 180;
+    const d = slopeDirection(slopeAzimuthDeg);
+    return getTerrainHeight(x, z) * Math.cos(t) - (x * d.x + z * d.z) * Math.sin(t);
+}
+
+function normalizeAzimuth(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+// Smallest difference between two compass directions (degrees)
+function azimuthDelta(a, b) {
+    return Math.abs(((a - b) % 360 + 540) % 360 - 180);
+}
+
 // ---- Scene setup ----
 const scene = new THREE.Scene();
 scene.background = BG_COLOR;
@@ -79,6 +127,7 @@ scene.add(dirLight);
 
 // ---- World group (rotates for slope visualization) ----
 const worldGroup = new THREE.Group();
+const slopeAxis = new THREE.Vector3(1, 0, 0);
 scene.add(worldGroup);
 
 // ---- Orbit controls ----
@@ -92,13 +141,33 @@ controls.maxDistance = 20;
 controls.update();
 
 // ---- Build terrain ----
-buildTrueRollGrids(null);
+// A single green seed drives the shape SDF seeds and all three terrain grids
+const GREEN_SEED_MAX = 999999;
+
+function randomGreenSeed() {
+    return 1 + Math.floor(Math.random() * GREEN_SEED_MAX);
+}
+
+let greenSeed = randomGreenSeed();
+let terrainSource = null; // file name when grids were imported on top of the seeded green
+let featuresEdited = false; // features differ from the ones the seed generates (then links carry them)
+generateShapeSeeds(greenSeed);
+buildTrueRollGrids(greenSeed);
+
+// Cup location on the green (movable pin); everything "to the hole" measures from here
+let holePos = { x: 0, z: 0 };
+const PIN_EDGE_MARGIN = 0.3; // keep the cup at least this far inside the green edge (m)
+
+function distToHolePos(x, z) {
+    return Math.hypot(x - holePos.x, z - holePos.z);
+}
 
 // ---- Create green mesh (organic SDF shape + procedural grass shader) ----
 let greenMaterial = null;
+let showSpeedTint = false; // tint the green by the speed map
 
 function buildGreenMesh() {
-    const gridSize = TR_GRID_SIZE;
+    const gridSize = getGridSize();
     const halfWorld = TR_WORLD_SIZE / 2;
     const step = TR_WORLD_SIZE / (gridSize - 1);
     const holeMargin = HOLE_RADIUS_M + 0.02;
@@ -108,6 +177,7 @@ function buildGreenMesh() {
     const vertMap = new Int32Array(gridSize * gridSize).fill(-1);
     const positions = [];
     const normals = [];
+    const speeds = [];
     const indices = [];
     let vertCount = 0;
 
@@ -120,6 +190,7 @@ function buildGreenMesh() {
         const n = getTerrainNormal(x, z);
         positions.push(x, h, z);
         normals.push(n.x, n.y, n.z);
+        speeds.push(speedScaleAt(x, z));
         vertMap[key] = vertCount;
         return vertCount++;
     }
@@ -133,7 +204,7 @@ function buildGreenMesh() {
 
             const cx = (x0 + x1) / 2, cz = (z0 + z1) / 2;
             if (greenSignedDistance(cx, cz) > sdfMargin) continue;
-            if (Math.hypot(cx, cz) < holeMargin) continue;
+            if (distToHolePos(cx, cz) < holeMargin) continue;
 
             const v00 = getOrCreateVertex(ix, iy);
             const v10 = getOrCreateVertex(ix + 1, iy);
@@ -148,10 +219,12 @@ function buildGreenMesh() {
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
     geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('speedScale', new THREE.Float32BufferAttribute(speeds, 1));
     geometry.setIndex(indices);
 
     const { seedA, seedB } = getShapeSeeds();
     greenMaterial = createGreenMaterial(seedA, seedB);
+    greenMaterial.uniforms.uSpeedTint.value = showSpeedTint ? 1 : 0;
     return new THREE.Mesh(geometry, greenMaterial);
 }
 
@@ -207,12 +280,33 @@ function buildHole() {
         const mat = new THREE.MeshBasicMaterial({ color: 0xe6e6e6, side: THREE.DoubleSide });
         group.add(new THREE.Mesh(geo, mat));
     }
+    // Flagstick (shown while it is in): pole from the cup floor and a flag at the top
+    {
+        const flag = new THREE.Group();
+        const poleGeo = new THREE.CylinderGeometry(FLAGSTICK_RADIUS_M, FLAGSTICK_RADIUS_M, FLAGSTICK_HEIGHT + holeDepth, 12);
+        poleGeo.translate(0, (FLAGSTICK_HEIGHT - holeDepth) / 2, 0);
+        flag.add(new THREE.Mesh(poleGeo, new THREE.MeshBasicMaterial({ color: 0xf2f2f2 })));
+        const clothGeo = new THREE.PlaneGeometry(0.5, 0.35);
+        clothGeo.translate(0.25, FLAGSTICK_HEIGHT - 0.175, 0);
+        const clothMat = new THREE.MeshBasicMaterial({ color: 0xdc1e1e, side: THREE.DoubleSide });
+        flag.add(new THREE.Mesh(clothGeo, clothMat));
+        flag.visible = false;
+        group.add(flag);
+        group.userData.flagstick = flag;
+    }
 
     return group;
 }
 
 const holeGroup = buildHole();
 worldGroup.add(holeGroup);
+const flagstickGroup = holeGroup.userData.flagstick;
+
+// Seat the cup at the pin position on the terrain surface
+function placeHoleGroup() {
+    holeGroup.position.set(holePos.x, getTerrainHeight(holePos.x, holePos.z), holePos.z);
+}
+placeHoleGroup();
 
 // ---- Create ball (white with glow) ----
 function buildBall() {
@@ -272,22 +366,21 @@ worldGroup.add(ballShadow);
 // GAME STATE
 // ===================================================================
 let angleDeg = 0.0;
+let slopeAzimuthDeg = 0.0; // direction the green falls toward: 0 = +Z, 90 = +X
 let stimpM = STIMP_DEFAULT;
 let ballAngle = 0.0;
 let lastCircleAngle = 0.0;
 let ballCircleRadius = BALL_CIRCLE_RADIUS_DEFAULT;
 
-let ballPos = [ballCircleRadius, getTerrainHeight(ballCircleRadius, 0) + BALL_RADIUS_M, 0];
-let ballVel = [0, 0, 0];
+// Ball physics state: { pos, vel, roll, airborne, bounces, maxHeight, skidDistance, rollStart, cupEntry } (see createBall in physics.js)
+let ball = createBall([ballCircleRadius, getTerrainHeight(ballCircleRadius, 0) + BALL_RADIUS_M, 0]);
+ball.maxHeight = 0.0;
 let ballMoving = false;
 let ballOnCircle = true;
-let ballAirborne = false;
 let inHole = false;
 let travelDist = 0.0;
 let launchAngleDeg = LAUNCH_ANGLE_DEFAULT;
-let bounceCount = 0;
-let maxHeight = 0.0;
-let ballSpin = 0.0;
+let strikeSpin = STRIKE_SPIN_DEFAULT;
 let breakPoints = [];
 let breakLocked = false;
 let prevVz = null;
@@ -296,9 +389,12 @@ let showHelp = true;
 let flowMode = 0; // 0=off, 1=streamlines, 2=grid, 3=break arrows
 
 // Aim
-let aimWorld = new THREE.Vector3(ballPos[0], 0, ballPos[2]);
+let aimWorld = new THREE.Vector3(ball.pos[0], 0, ball.pos[2]);
 const mouseNDC = new THREE.Vector2(0, 0);
 let aimLocked = false; // true once the player clicks to set an aimpoint
+let pinMode = false;   // true while the next click places the cup
+let flagstickIn = false;
+let sculptMode = false; // true while dragging on the green edits the height map
 
 // Shot aim point storage
 let shotAimPoints = [];
@@ -312,6 +408,7 @@ let gameScore = 0;
 let gameCrossedHole = false;
 let gameStartPos = null; // ball position at start of hole for reveal
 let gameHoleScores = []; // per-hole scores
+let gameHoleFlagsticks = []; // per-hole: putted with the flagstick in
 const GAME_OOB_DIST = 6.0; // ball too far from hole = lost
 
 const GAME_HOLES = [
@@ -414,15 +511,15 @@ document.getElementById('hud').appendChild(aimPopup);
 let aimPopupTimer = null;
 
 function showAimPopup(screenX, screenY) {
-    // Perpendicular distance from hole (0,0) to aim line (ball → aimDot)
-    const bx = ballPos[0], bz = ballPos[2];
+    // Perpendicular distance from hole to aim line (ball → aimDot)
+    const bx = ball.pos[0], bz = ball.pos[2];
     const ax = aimWorld.x, az = aimWorld.z;
     const dx = ax - bx, dz = az - bz;
     const lineLen = Math.hypot(dx, dz);
     if (lineLen < 0.001) return;
 
     // Signed perpendicular distance: |cross(ball→aim, ball→hole)| / |ball→aim|
-    const crossVal = (ax - bx) * (0 - bz) - (az - bz) * (0 - bx);
+    const crossVal = (ax - bx) * (holePos.z - bz) - (az - bz) * (holePos.x - bx);
     const perpDist = Math.abs(crossVal) / lineLen;
     const ballDiam = 2 * BALL_RADIUS_M;
     const nBalls = perpDist / ballDiam;
@@ -468,6 +565,7 @@ function colorLastAimPoint(madeIt) {
 }
 
 function clearAimPointMarkers() {
+    stopAutoAim();
     while (aimPtGroup.children.length) {
         aimPtGroup.remove(aimPtGroup.children[0]);
     }
@@ -521,265 +619,249 @@ function placeGhostCross(x, z) {
     }
 }
 
-function simulateGhostRest(startPos, startVel, startSpin) {
+// Plain-data green settings from the current free-play/game state (also sent to the hint worker)
+function greenSettings(withHole = true) {
+    return {
+        slopeDeg: angleDeg,
+        slopeAzimuthDeg,
+        stimp: stimpM,
+        trueRoll: getTrueRollStrength(),
+        hole: withHole ? { x: holePos.x, z: holePos.z } : null,
+        flagstick: flagstickIn,
+    };
+}
+
+// Green state for the physics engine, built from the current free-play/game settings
+function currentGreen(withHole = true) {
+    return createGreen({
+        ...greenSettings(withHole),
+        terrain: terrainSampler,
+        inBounds: (x, z) => greenSignedDistance(x, z) <= 0,
+    });
+}
+
+function simulateGhostRest(startPos, startVel, startRoll) {
     // Continue ball physics ignoring the hole until ball stops
-    const simDt = 1 / 120;
-    let px = startPos[0], py = startPos[1], pz = startPos[2];
-    let vx = startVel[0], vy = startVel[1], vz = startVel[2];
-    let spin = startSpin;
-    let airborne = false;
-    const angleRad = angleDeg * Math.PI / 180;
-    const muRoll = stimpToMu(stimpM);
-
-    for (let step = 0; step < 20000; step++) {
-        const speed = Math.hypot(vx, vz);
-        if (speed < 0.02 && !airborne) break;
-
-        // Ground check (no hole)
-        const terrainH = getTerrainHeight(px, pz);
-        const heightAbove = py - BALL_RADIUS_M - terrainH;
-        airborne = heightAbove > LANDING_THRESHOLD;
-
-        let ax = 0, ay = -GRAVITY, az = 0;
-
-        if (!airborne) {
-            az += GRAVITY * Math.sin(angleRad) * ROLLING_FACTOR;
-            if (speed > 1e-4) {
-                const normal = getTerrainNormal(px, pz);
-                let friction = muRoll * GRAVITY * Math.abs(normal.y);
-                let spinMod = 1.0 + spin * SPIN_EFFECT_STRENGTH;
-                spinMod = Math.max(0.5, Math.min(1.5, spinMod));
-                ax -= friction * spinMod * (vx / speed);
-                az -= friction * spinMod * (vz / speed);
-                ax += -normal.x * GRAVITY * ROLLING_FACTOR;
-                az += -normal.z * GRAVITY * ROLLING_FACTOR;
-            }
-            spin *= Math.exp(-SPIN_DECAY_RATE * simDt);
-            if (Math.abs(spin) < 0.01) spin = 0;
-            const tr = trueRollAccel(px, pz, vx, vz);
-            ax += tr.ax;
-            az += tr.az;
-            ay = 0;
-            vy = 0;
-        } else {
-            az += GRAVITY * Math.sin(angleRad);
-        }
+    const ghost = createBall(startPos, startVel, startRoll);
+    return simulatePutt(currentGreen(false), ghost).rest;
+}
 
-        vx += ax * simDt;
-        vy += ay * simDt;
-        vz += az * simDt;
-        let nx = px + vx * simDt;
-        let ny = py + vy * simDt;
-        let nz = pz + vz * simDt;
-
-        // Floor
-        const minY = getTerrainHeight(nx, nz) + BALL_RADIUS_M;
-        if (ny < minY) {
-            if (airborne && Math.abs(vy) > MIN_BOUNCE_VEL) {
-                vy = -vy * BOUNCE_DAMPING;
-                vx *= BOUNCE_FRICTION;
-                vz *= BOUNCE_FRICTION;
-                ny = minY;
-            } else {
-                ny = minY;
-                vy = 0;
-                airborne = false;
-            }
+// ===================================================================
+// SOLVER WORKER — one hintWorker.js instance for everything solved off the main thread
+// ===================================================================
+// Requests run one at a time in the order sent, each with the green as it was when it
+// was sent, and their answers go to the handlers they were sent with. Cancelling one
+// that is still queued or running drops the worker (it can't be interrupted mid-solve)
+// and sends the others again to a fresh one.
+let solverWorker = null;
+let solverRequestId = 0;
+const solverRequests = new Map(); // id -> { message, onProgress, onResult }, in the order sent
+
+function startSolverWorker() {
+    solverWorker = new Worker(new URL('./hintWorker.js', import.meta.url), { type: 'module' });
+    solverWorker.onmessage = (e) => {
+        const request = solverRequests.get(e.data.id);
+        if (!request) return; // answer to a cancelled request
+        if (e.data.type === 'progress') {
+            request.onProgress(e.data.fraction);
+        } else {
+            solverRequests.delete(e.data.id);
+            request.onResult(e.data);
         }
+    };
+    for (const { message } of solverRequests.values()) solverWorker.postMessage(message);
+}
 
-        px = nx; py = ny; pz = nz;
-
-        // Safety: stop if off green (organic SDF boundary)
-        if (greenSignedDistance(px, pz) > 0) break;
-    }
+/**
+ * Send hintWorker.js a request (its task fields) on the current green. onProgress(fraction)
+ * and onResult(reply) get its answers. Returns the request id, for cancelSolverRequest.
+ */
+function postSolverRequest(fields, { onProgress = () => {}, onResult }) {
+    const id = ++solverRequestId;
+    const message = {
+        ...fields,
+        id,
+        terrain: getSamplerState(),
+        shapeSeeds: getShapeSeeds(),
+        settings: greenSettings(),
+        physics: getPhysicsRate(),
+    };
+    solverRequests.set(id, { message, onProgress, onResult });
+    if (solverWorker) solverWorker.postMessage(message);
+    else startSolverWorker();
+    return id;
+}
 
-    return { x: px, z: pz };
+function cancelSolverRequest(id) {
+    if (!solverRequests.delete(id)) return;
+    solverWorker.terminate();
+    startSolverWorker();
 }
 
 // ===================================================================
-// HINT SYSTEM — solve & display ideal trajectory in Game mode
+// HINT SYSTEM — holing lines solved in a worker (hintWorker.js), once per
+// hole in Game mode and as often as wanted in free play; "auto" or chosen paces
 // ===================================================================
+const HINT_AUTO_COLOR = 0x999999;
+const HINT_PACE_COLORS = [0x66ccff, 0xffd54f, 0xd070ff]; // per HINT_PACES entry
 const hintGroup = new THREE.Group();
 worldGroup.add(hintGroup);
 let hintUsedThisHole = false;
 const hintBtn = document.getElementById('hint-btn');
+const hintActionBtn = document.querySelector('#action-btns button[data-action="hint"]');
+const hintRunBtn = document.getElementById('hint-run');
+const hintStatusEl = document.getElementById('hint-status');
+let hintRequest = null;    // solver request id while solving
+let hintProgress = null;   // fraction solved while the worker is busy, else null
+let hintChoice = 'auto';   // 'auto', an index into HINT_PACES, or 'all'
+let hintSpecs = [];        // lines of the last request: { name, color }
+let hintNotes = [];        // per line of the last result: { name, color, text }
 
-/**
- * Simulate a putt and record the path.
- * Includes lip gravity (unlike simulateGhostRest).
- * Returns { path: [[x,y,z],...], hitHole, holeSpeed }.
- */
-function simulateTrajectory(startPos, vel) {
-    const simDt = 1 / 120;
-    let px = startPos[0], py = startPos[1], pz = startPos[2];
-    let vx = vel[0], vy = 0, vz = vel[1];
-    let spin = 0;
-    let airborne = false;
-    const angleRad = angleDeg * Math.PI / 180;
-    const muRoll = stimpToMu(stimpM);
-    const path = [[px, py, pz]];
-    let hitHole = false;
-    let holeSpeed = Infinity;
-    let minDistToHole = Infinity;
-    const recordEvery = 4; // record every N steps
-
-    for (let step = 0; step < 20000; step++) {
-        const speed = Math.hypot(vx, vz);
-        if (speed < 0.02 && !airborne) break;
-
-        const terrainH = getTerrainHeight(px, pz);
-        const heightAbove = py - BALL_RADIUS_M - terrainH;
-        airborne = heightAbove > LANDING_THRESHOLD;
-
-        let ax = 0, ay = -GRAVITY, az = 0;
-
-        if (!airborne) {
-            az += GRAVITY * Math.sin(angleRad) * ROLLING_FACTOR;
-            if (speed > 1e-4) {
-                const normal = getTerrainNormal(px, pz);
-                let friction = muRoll * GRAVITY * Math.abs(normal.y);
-                let spinMod = 1.0 + spin * SPIN_EFFECT_STRENGTH;
-                spinMod = Math.max(0.5, Math.min(1.5, spinMod));
-                ax -= friction * spinMod * (vx / speed);
-                az -= friction * spinMod * (vz / speed);
-                ax += -normal.x * GRAVITY * ROLLING_FACTOR;
-                az += -normal.z * GRAVITY * ROLLING_FACTOR;
-            }
-            spin *= Math.exp(-SPIN_DECAY_RATE * simDt);
-            if (Math.abs(spin) < 0.01) spin = 0;
-            const tr = trueRollAccel(px, pz, vx, vz);
-            ax += tr.ax;
-            az += tr.az;
-
-            // Lip gravity
-            const lipOuter = HOLE_RADIUS_M * 2.3;
-            const dh = Math.hypot(px, pz);
-            if (dh > 0.001 && dh < lipOuter) {
-                const t = 1.0 - dh / lipOuter;
-                const lipForce = GRAVITY * 2.5 * t * t;
-                ax += -px / dh * lipForce;
-                az += -pz / dh * lipForce;
-            }
+function clearHint() {
+    cancelHint();
+    hintNotes = [];
+    updateHintStatus();
+    while (hintGroup.children.length) {
+        const c = hintGroup.children[0];
+        hintGroup.remove(c);
+        if (c.geometry) c.geometry.dispose();
+        if (c.material) c.material.dispose();
+    }
+}
 
-            ay = 0;
-            vy = 0;
-        } else {
-            az += GRAVITY * Math.sin(angleRad);
-        }
+// Abandon a search in progress
+function cancelHint() {
+    if (hintProgress === null) return;
+    cancelSolverRequest(hintRequest);
+    hintRequest = null;
+    hintProgress = null;
+    updateHintButtons();
+}
 
-        vx += ax * simDt;
-        vy += ay * simDt;
-        vz += az * simDt;
-        let nx = px + vx * simDt;
-        let ny = py + vy * simDt;
-        let nz = pz + vz * simDt;
+function updateHintButtons() {
+    const label = hintProgress === null ? null : ` ${Math.round(hintProgress * 100)}%`;
+    hintBtn.textContent = label ? `HINT${label}` : 'HINT';
+    if (hintActionBtn) {
+        hintActionBtn.textContent = label ? `Hint${label}` : 'Hint';
+        hintActionBtn.classList.toggle('active', label !== null);
+    }
+    hintRunBtn.textContent = label ? `Stop${label}` : 'Show';
+}
 
-        const minY = getTerrainHeight(nx, nz) + BALL_RADIUS_M;
-        if (ny < minY) {
-            ny = minY; vy = 0; airborne = false;
-        }
-        px = nx; py = ny; pz = nz;
-
-        // Record path
-        if (step % recordEvery === 0) path.push([px, py, pz]);
-
-        // Check hole
-        const distH = Math.hypot(px, pz);
-        if (distH < minDistToHole) minDistToHole = distH;
-        if (distH <= HOLE_RADIUS_M + BALL_RADIUS_M * 0.5) {
-            hitHole = true;
-            holeSpeed = speed;
-            path.push([px, py, pz]);
-            break;
-        }
+// Lines to solve for the chosen pace: "auto" firms up from HINT_PACE until one drops,
+// a named pace holds its pace
+function hintLineRequests() {
+    if (hintChoice === 'auto') return [{ line: {}, name: 'auto', color: HINT_AUTO_COLOR }];
+    const picked = hintChoice === 'all' ? HINT_PACES.map((_, i) => i) : [parseInt(hintChoice, 10)];
+    return picked.map(i => ({
+        line: { pace: HINT_PACES[i].pace, paceMax: HINT_PACES[i].pace },
+        name: HINT_PACES[i].name,
+        color: HINT_PACE_COLORS[i],
+    }));
+}
 
-        if (greenSignedDistance(px, pz) > 0) break;
+function showHint() {
+    if (gameState && hintUsedThisHole) return;
+    clearHint();
+    const requests = hintLineRequests();
+    hintSpecs = requests.map(({ name, color }) => ({ name, color }));
+    hintRequest = postSolverRequest({
+        start: ball.pos.slice(),
+        options: { spinRatio: strikeSpinRatio(0) }, // struck like a live putt without loft, so the hint includes the skid
+        lines: requests.map(r => r.line),
+    }, { onProgress: onHintProgress, onResult: onHintResult });
+    hintProgress = 0;
+    updateHintButtons();
+    updateHintStatus();
+    if (gameState) {
+        hintUsedThisHole = true;
+        hintBtn.classList.add('used');
     }
+}
 
-    return { path, hitHole, holeSpeed, minDistToHole };
+function onHintProgress(fraction) {
+    hintProgress = fraction;
+    updateHintButtons();
+    updateHintStatus();
 }
 
-/**
- * Search over angles and speeds to find the trajectory that enters the hole
- * with the lowest speed (most likely to drop in).
- */
-function solveHintTrajectory() {
-    const bx = ballPos[0], bz = ballPos[2], by = ballPos[1];
-    let bestPath = null;
-    let bestSpeed = Infinity;
-
-    for (let deg = 0; deg < 360; deg += 1) {
-        const rad = deg * Math.PI / 180;
-        const dx = Math.cos(rad), dz = Math.sin(rad);
-
-        // Binary search on aim distance (0.3m to 6m)
-        let lo = 0.3, hi = 6.0;
-        let found = false;
-        let foundPath = null;
-        let foundSpeed = Infinity;
-
-        for (let iter = 0; iter < 18; iter++) {
-            const mid = (lo + hi) / 2;
-            const speedH = STIMP_V0 * Math.sqrt(mid / stimpM);
-            const result = simulateTrajectory(
-                [bx, by, bz],
-                [speedH * dx, speedH * dz]
-            );
-            if (result.hitHole) {
-                hi = mid; // try slower
-                found = true;
-                foundPath = result.path;
-                foundSpeed = result.holeSpeed;
-            } else {
-                // Ball missed — use closest approach to decide
-                // If ball got close but passed, it was too fast; otherwise too slow
-                if (result.minDistToHole < HOLE_RADIUS_M * 4) {
-                    hi = mid; // overshot — reduce speed
-                } else {
-                    lo = mid; // undershot — increase speed
-                }
-            }
-        }
+function onHintResult({ hints }) {
+    hintRequest = null;
+    hintProgress = null;
+    updateHintButtons();
+    hintNotes = hints.map((hint, i) => {
+        const { name, color } = hintSpecs[i];
+        if (!hint || hint.path.length < 2) return { name, color, text: 'no line found' };
+        drawHint(hint, color);
+        return { name, color, text: hintReadout(hint) };
+    });
+    updateHintStatus();
+}
 
-        if (found && foundSpeed < bestSpeed) {
-            bestSpeed = foundSpeed;
-            bestPath = foundPath;
-        }
-    }
+// Where the hint's start line passes the hole, sideways (m, positive = right of
+// the straight line from the ball)
+function hintAimOffset({ dirX, dirZ }) {
+    const hx = holePos.x - ball.pos[0], hz = holePos.z - ball.pos[2];
+    const dist = Math.hypot(hx, hz) || 1;
+    const along = (dirX * hx + dirZ * hz) / dist;
+    const across = (dirX * -hz + dirZ * hx) / dist;
+    return along > 0 ? dist * across / along : Infinity * Math.sign(across);
+}
 
-    return bestPath;
+// "aim 12 cm R · 2.34 m/s · margin 3.5 L / 3.0 R cm"
+function hintReadout(hint) {
+    const aim = hintAimOffset(hint);
+    const cm = Math.round(Math.abs(aim) * 100);
+    const aimText = !Number.isFinite(aim) ? `${aim > 0 ? 'right' : 'left'}, away from the hole`
+        : cm === 0 ? 'center cup' : `${cm} cm ${aim > 0 ? 'R' : 'L'}`;
+    const { left, right } = hint.margin;
+    return `aim ${aimText} · ${hint.speed.toFixed(2)} m/s · margin ${(left * 100).toFixed(1)} L / ${(right * 100).toFixed(1)} R cm`;
 }
 
-function clearHint() {
-    while (hintGroup.children.length) {
-        const c = hintGroup.children[0];
-        hintGroup.remove(c);
-        if (c.geometry) c.geometry.dispose();
-        if (c.material) c.material.dispose();
+function updateHintStatus() {
+    if (hintProgress !== null) {
+        hintStatusEl.textContent = `Solving… ${Math.round(hintProgress * 100)}%`;
+    } else if (hintNotes.length) {
+        hintStatusEl.innerHTML = hintNotes.map(n =>
+            `<span style="color: #${n.color.toString(16).padStart(6, '0')}">●</span> ${n.name}: ${n.text}`).join('\n');
+    } else {
+        hintStatusEl.textContent = 'A putt that holes from the ball';
     }
 }
 
-function showHint() {
-    if (hintUsedThisHole) return;
-    clearHint();
-
-    const path = solveHintTrajectory();
-    if (!path || path.length < 2) return;
-
+function drawHint(hint, color) {
     // Build a CatmullRomCurve3 through the path points
-    const points = path.map(p => new THREE.Vector3(p[0], p[1] + 0.002, p[2]));
+    const points = hint.path.map(p => new THREE.Vector3(p[0], p[1] + 0.002, p[2]));
     const curve = new THREE.CatmullRomCurve3(points, false);
     const tubeGeo = new THREE.TubeGeometry(curve, Math.min(points.length * 2, 200), BALL_RADIUS_M, 8, false);
     const tubeMat = new THREE.MeshBasicMaterial({
-        color: 0x999999, transparent: true, opacity: 0.45,
+        color, transparent: true, opacity: 0.45,
         depthTest: false, side: THREE.DoubleSide
     });
     const tubeMesh = new THREE.Mesh(tubeGeo, tubeMat);
     tubeMesh.renderOrder = 995;
     hintGroup.add(tubeMesh);
 
-    hintUsedThisHole = true;
-    hintBtn.classList.add('used');
+    // Aim point: where the line's start direction and launch speed would stop on a flat green
+    const reach = strikeDistance(hint.speed, stimpM, strikeSpinRatio(0));
+    const ax = ball.pos[0] + hint.dirX * reach, az = ball.pos[2] + hint.dirZ * reach;
+    const ay = getTerrainHeight(ax, az);
+    const lineGeo = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(ball.pos[0], ball.pos[1], ball.pos[2]),
+        new THREE.Vector3(ax, ay + 0.005, az),
+    ]);
+    const line = new THREE.Line(lineGeo, new THREE.LineBasicMaterial({
+        color, transparent: true, opacity: 0.6, depthTest: false,
+    }));
+    line.renderOrder = 995;
+    hintGroup.add(line);
+    const dot = new THREE.Mesh(
+        new THREE.SphereGeometry(BALL_RADIUS_M * 1.2, 8, 8),
+        new THREE.MeshBasicMaterial({ color, depthTest: false })
+    );
+    dot.position.set(ax, ay + 0.02, az);
+    dot.renderOrder = 998;
+    hintGroup.add(dot);
 }
 
 // ===================================================================
@@ -938,15 +1020,16 @@ function rebuildGoodAimZone() {
         const dx = ell.cx - sx, dz = ell.cz - sz;
         const lineLen = Math.hypot(dx, dz);
         if (lineLen > 0.001) {
-            // Signed perpendicular distance from hole (0,0) to the aim line
-            const crossVal = sx * ell.cz - sz * ell.cx;
+            // Signed perpendicular distance from hole to the aim line
+            const hx = holePos.x, hz = holePos.z;
+            const crossVal = (sx - hx) * (ell.cz - hz) - (sz - hz) * (ell.cx - hx);
             const distAimHole = Math.abs(crossVal) / lineLen;
             const ballDiameter = 2 * BALL_RADIUS_M;
             const numberOfBalls = distAimHole / ballDiameter;
 
-            // Foot of perpendicular from hole (0,0) onto the aim line
+            // Foot of perpendicular from hole onto the aim line
             const ux = dx / lineLen, uz = dz / lineLen;       // unit direction ball→ellipse
-            const dotProj = (0 - sx) * ux + (0 - sz) * uz;    // project hole onto line
+            const dotProj = (hx - sx) * ux + (hz - sz) * uz;  // project hole onto line
             const footX = sx + dotProj * ux;
             const footZ = sz + dotProj * uz;
 
@@ -972,7 +1055,7 @@ function rebuildGoodAimZone() {
 
             // --- Draw perpendicular from hole to aim line ---
             const perpVerts = [
-                0, getTerrainHeight(0, 0) + yOff + 0.002, 0,
+                hx, getTerrainHeight(hx, hz) + yOff + 0.002, hz,
                 footX, getTerrainHeight(footX, footZ) + yOff + 0.002, footZ
             ];
             const perpGeo = new THREE.BufferGeometry();
@@ -986,11 +1069,11 @@ function rebuildGoodAimZone() {
 
             // Left/Right: break direction based on aim point offset from hole
             // Aim left of hole → ball breaks left to right; aim right → right to left
-            const lr = Math.abs(ell.cx) < 0.001 ? 'Straight' : (ell.cx < 0 ? 'Left to Right' : 'Right to Left');
+            const offX = ell.cx - hx;
+            const lr = Math.abs(offX) < 0.001 ? 'Straight' : (offX < 0 ? 'Left to Right' : 'Right to Left');
             // Up/Down: compare effective elevation at ball vs hole
-            const angleRad = angleDeg * Math.PI / 180;
-            const heightBall = getTerrainHeight(sx, sz) - sz * Math.sin(angleRad);
-            const heightHole = getTerrainHeight(0, 0);
+            const heightBall = effectiveElevation(sx, sz);
+            const heightHole = effectiveElevation(hx, hz);
             const heightDiff = heightHole - heightBall;
             const ud = Math.abs(heightDiff) < 0.0001 ? '' : (heightDiff > 0 ? 'Uphill' : 'Downhill');
             const puttType = ud ? `${lr}, ${ud}` : lr;
@@ -1005,166 +1088,1089 @@ function rebuildGoodAimZone() {
 }
 
 // ===================================================================
-// BREAK POINT MARKERS
+// AUTO AIM ZONE (sweep aim points from the ball instead of putting by hand)
 // ===================================================================
-const breakGroup = new THREE.Group();
-worldGroup.add(breakGroup);
-
-function rebuildBreakMarkers() {
-    while (breakGroup.children.length) breakGroup.remove(breakGroup.children[0]);
-    const geo = new THREE.SphereGeometry(BALL_RADIUS_M * 1.5, 8, 8);
-    const mat = new THREE.MeshBasicMaterial({ color: 0xff6600 });
-    for (const [pos] of breakPoints) {
-        const mesh = new THREE.Mesh(geo, mat);
-        const y = getTerrainHeight(pos[0], pos[1]) + 0.01;
-        mesh.position.set(pos[0], y, pos[1]);
-        breakGroup.add(mesh);
+// Aim points are laid out by direction and distance around the aim point of a line
+// through the cup, struck as shoot() would strike them and kept when they hole with a
+// ghost rest inside MAX_GHOST_DIST. The line is found by the solver worker; then a
+// coarse sweep finds the zone, a second one at the same count fills in the box round
+// what it found. Run a slice per frame, like the make % map.
+const AUTO_AIM_PACE = 0.2;         // the sweep is centered on the line finishing this far past (m)
+const AUTO_AIM_SEARCH_DEG = 45;    // that line's start direction searched either side of the hole
+const AUTO_AIM_COLS = 25;          // directions per sweep
+const AUTO_AIM_ROWS = 31;          // aim distances per sweep
+const AUTO_AIM_SPAN_DEG = 3;       // the coarse sweep's directions cover ± this...
+const AUTO_AIM_SPAN_M = 0.15;      // ...plus ± this much at the hole
+const AUTO_AIM_REACH = 0.3;        // and its aim distances ± this fraction of the line's
+const AUTO_AIM_FRAME_MS = 20;
+// { green, start, spin, request, base, span, reach, pass, points, next, found, box, edge }
+// while sweeping; points is null until the worker answers with the line
+let autoAimJob = null;
+const autoAimBtn = document.getElementById('zone-run');
+const autoAimStatusEl = document.getElementById('zone-status');
+
+// One sweep over u (direction) and v (aim distance), each -1..1 across the coarse window
+function autoAimPoints(job, [uLo, uHi, vLo, vHi]) {
+    const points = [];
+    for (let row = 0; row < AUTO_AIM_ROWS; row++) {
+        const v = vLo + (vHi - vLo) * row / (AUTO_AIM_ROWS - 1);
+        const r = job.reach * (1 + AUTO_AIM_REACH * v);
+        for (let col = 0; col < AUTO_AIM_COLS; col++) {
+            const u = uLo + (uHi - uLo) * col / (AUTO_AIM_COLS - 1);
+            const t = job.base + job.span * u;
+            points.push({ x: job.start[0] + Math.cos(t) * r, z: job.start[2] + Math.sin(t) * r, u, v });
+        }
     }
+    return points;
 }
 
-// ===================================================================
-// GRADIENT ARROWS (G key toggle)
-// ===================================================================
-const gradientGroup = new THREE.Group();
-gradientGroup.visible = false;
-worldGroup.add(gradientGroup);
-
-function buildGradientArrows() {
-    while (gradientGroup.children.length) {
-        const c = gradientGroup.children[0];
-        gradientGroup.remove(c);
-        if (c.geometry) c.geometry.dispose();
-    }
+function startAutoAim() {
+    if (gameState || ballMoving) return;
+    clearAimPointMarkers();
+    const start = ball.pos.slice();
+    const spin = strikeSpinRatio();
+    const job = {
+        green: currentGreen(), start, spin, points: null,
+        pass: 0, next: 0, found: 0, box: null, edge: false,
+    };
+    job.request = postSolverRequest({
+        task: 'line',
+        start,
+        options: {
+            pace: AUTO_AIM_PACE, launchDeg: launchAngleDeg, spinRatio: spin,
+            fromDeg: -AUTO_AIM_SEARCH_DEG, toDeg: AUTO_AIM_SEARCH_DEG, passes: 2,
+        },
+    }, { onResult: ({ line }) => startAutoAimSweep(job, line) });
+    autoAimJob = job;
+    lastShotStartPos = { x: start[0], z: start[2] };
+    autoAimBtn.textContent = 'Stop';
+    updateAutoAimStatus();
+}
 
-    const halfWorld = TR_WORLD_SIZE / 2;
-    const spacing = 0.4;
-    const arrowScale = 0.25;
-    const headRatio = 0.3;
-    const yOff = 0.008;
-    const positions = [];
-    const colors = [];
+// Lay out the coarse sweep round the worker's line through the cup
+function startAutoAimSweep(job, line) {
+    const dist = distToHolePos(job.start[0], job.start[2]);
+    job.request = null;
+    job.base = Math.atan2(line.dirZ, line.dirX);
+    job.span = AUTO_AIM_SPAN_DEG * Math.PI / 180 + Math.atan(AUTO_AIM_SPAN_M / Math.max(dist, 0.1));
+    job.reach = strikeDistance(line.speed, job.green.stimp, job.spin);
+    job.points = autoAimPoints(job, [-1, 1, -1, 1]);
+    updateAutoAimStatus();
+}
 
-    for (let x = -halfWorld + spacing; x < halfWorld; x += spacing) {
-        for (let z = -halfWorld + spacing; z < halfWorld; z += spacing) {
-            if (greenSignedDistance(x, z) > -0.3) continue; // only inside green
-            if (Math.hypot(x, z) < HOLE_RADIUS_M * 3) continue;
+// Called every frame: strike aim points until the frame's budget is spent
+function advanceAutoAim() {
+    if (!autoAimJob?.points) return;
+    const job = autoAimJob;
+    const until = performance.now() + AUTO_AIM_FRAME_MS;
+    const before = job.found;
+    while (performance.now() < until && job.next < job.points.length) {
+        const p = job.points[job.next++];
+        const dx = p.x - job.start[0], dz = p.z - job.start[2];
+        const putt = strikeBall(createBall(job.start.slice()), dx, dz,
+            strikeSpeed(Math.hypot(dx, dz), stimpM, job.spin), launchAngleDeg, job.spin);
+        const result = simulatePutt(job.green, putt);
+        if (!result.captured) continue;
+        const { entry } = result;
+        const rest = simulateGhostRest(entry.pos, entry.vel, entry.roll);
+        if (distToHolePos(rest.x, rest.z) > MAX_GHOST_DIST) continue;
+        validAimPts.push({ x: p.x, z: p.z });
+        job.found++;
+        if (!job.box) job.box = [p.u, p.u, p.v, p.v];
+        const b = job.box;
+        b[0] = Math.min(b[0], p.u); b[1] = Math.max(b[1], p.u);
+        b[2] = Math.min(b[2], p.v); b[3] = Math.max(b[3], p.v);
+        if (Math.abs(p.u) >= 1 || Math.abs(p.v) >= 1) job.edge = true;
+    }
+    if (job.found > before) rebuildGoodAimZone();
+    if (job.next >= job.points.length) {
+        if (job.pass === 0 && job.box) {
+            // Fine: the box round the coarse hits, one coarse step wider each way
+            const du = 2 / (AUTO_AIM_COLS - 1), dv = 2 / (AUTO_AIM_ROWS - 1);
+            const [uLo, uHi, vLo, vHi] = job.box;
+            job.points = autoAimPoints(job, [uLo - du, uHi + du, vLo - dv, vHi + dv]);
+            job.pass = 1;
+            job.next = 0;
+        } else {
+            autoAimJob = null;
+            autoAimBtn.textContent = 'Auto-map';
+        }
+    }
+    updateAutoAimStatus(job);
+}
 
-            const { gx, gz } = getGradientAt(x, z, angleDeg);
-            const mag = Math.hypot(gx, gz);
-            if (mag < 0.01) continue;
+function stopAutoAim() {
+    if (!autoAimJob) return;
+    cancelSolverRequest(autoAimJob.request);
+    autoAimJob = null;
+    autoAimBtn.textContent = 'Auto-map';
+    autoAimStatusEl.textContent = 'Stopped';
+}
 
-            const length = Math.min(spacing * 0.4, mag * arrowScale);
-            const dx = gx / mag * length;
-            const dz = gz / mag * length;
+function updateAutoAimStatus(job = autoAimJob) {
+    const per = AUTO_AIM_COLS * AUTO_AIM_ROWS;
+    const tried = job.pass * per + job.next;
+    if (autoAimJob && !job.points) {
+        autoAimStatusEl.textContent = 'Finding the line…';
+    } else if (autoAimJob) {
+        autoAimStatusEl.textContent = `Sweeping ${Math.round(tried / (2 * per) * 100)}%, ${job.found} aim points hole`;
+    } else if (!job.found) {
+        autoAimStatusEl.textContent = `None of ${tried} aim points holed`;
+    } else {
+        autoAimStatusEl.textContent = `${job.found} of ${tried} aim points hole` +
+            (job.edge ? '\nThe zone reaches the edge of the sweep' : '');
+    }
+}
 
-            const h = getTerrainHeight(x, z);
-            const hTip = getTerrainHeight(x + dx, z + dz);
+// ===================================================================
+// SKID
+// ===================================================================
+// Spin the strike puts on the ball (fraction of rolling spin): the strike spin
+// setting plus backspin from the loft
+function strikeSpinRatio(launchDeg = launchAngleDeg) {
+    const spin = strikeSpin - Math.max(0, launchDeg) * LOFT_BACKSPIN_PER_DEG;
+    return Math.max(STRIKE_SPIN_MIN, Math.min(STRIKE_SPIN_MAX, spin));
+}
 
-            const t = Math.min(1.0, mag / 3.0);
-            const r = t * 1.0 + (1 - t) * 0.2;
-            const g = t * 0.85 + (1 - t) * 0.8;
-            const b = t * 0.1 + (1 - t) * 0.9;
+const rollStartMarker = new THREE.Mesh(
+    new THREE.RingGeometry(BALL_RADIUS_M * 1.4, BALL_RADIUS_M * 2, 24),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, transparent: true, opacity: 0.8 })
+);
+rollStartMarker.rotation.x = -Math.PI / 2;
+rollStartMarker.visible = false;
+worldGroup.add(rollStartMarker);
+
+// Ring where the last shot stopped skidding and began to roll
+function placeRollStartMarker() {
+    const p = ball.rollStart;
+    rollStartMarker.userData.point = p;
+    rollStartMarker.visible = !!p;
+    if (p) rollStartMarker.position.set(p.x, getTerrainHeight(p.x, p.z) + 0.003, p.z);
+}
 
-            // Shaft
-            positions.push(x, h + yOff, z, x + dx, hTip + yOff, z + dz);
-            colors.push(r, g, b, r, g, b);
+function skidLabel() {
+    const skid = `skid: ${ball.skidDistance.toFixed(2)} m`;
+    const p = ball.rollStart;
+    if (!p || !lastShotStartPos) return ballMoving ? `${skid}, still skidding` : skid;
+    const fromStart = Math.hypot(p.x - lastShotStartPos.x, p.z - lastShotStartPos.z);
+    return `${skid}, rolls from ${fromStart.toFixed(2)} m (${p.x.toFixed(2)}, ${p.z.toFixed(2)})`;
+}
 
-            // Arrowhead wings
-            const headLen = length * headRatio;
-            const perpX = -dz / length * headLen * 0.5;
-            const perpZ = dx / length * headLen * 0.5;
-            const hbx = x + dx - (dx / length) * headLen;
-            const hbz = z + dz - (dz / length) * headLen;
-            const hHb = getTerrainHeight(hbx, hbz);
+// ===================================================================
+// SURFACE MARKS (ball marks, spike marks, aeration holes)
+// ===================================================================
+const marksGroup = new THREE.Group();
+worldGroup.add(marksGroup);
+const markMatOpts = { side: THREE.DoubleSide, polygonOffset: true, polygonOffsetFactor: -2, depthWrite: false };
+const ballMarkGeo = new THREE.RingGeometry(BALL_MARK_RADIUS * 0.35, BALL_MARK_RADIUS * 0.8, 16).rotateX(-Math.PI / 2);
+const ballMarkMat = new THREE.MeshBasicMaterial({ color: 0x5a4a2a, ...markMatOpts });
+const spikeMarkGeo = new THREE.CircleGeometry(1, 10).rotateX(-Math.PI / 2).scale(SPIKE_MARK_WIDTH, 1, SPIKE_MARK_LENGTH);
+const spikeMarkMat = new THREE.MeshBasicMaterial({ color: 0x9c8f55, ...markMatOpts });
+const aerationGeo = new THREE.CircleGeometry(AERATION_HOLE_RADIUS, 6).rotateX(-Math.PI / 2);
+const aerationMat = new THREE.MeshBasicMaterial({ color: 0x17231a, ...markMatOpts });
+let markPlaceType = null; // mark type the next click on the green places, or null
+
+// Scatter the seeded marks around the current pin and redraw them all on the green
+function rebuildSurfaceMarks() {
+    setSurfaceMarkSettings({ center: holePos });
+    for (const child of marksGroup.children) {
+        if (child.isInstancedMesh) child.dispose();
+    }
+    marksGroup.clear();
+    const onGreen = (x, z) => greenSignedDistance(x, z) <= 0 && distToHolePos(x, z) > HOLE_RADIUS_M + 0.01;
+
+    for (const m of getSurfaceMarks()) {
+        if (!onGreen(m.x, m.z)) continue;
+        const mesh = m.type === 'ballMark'
+            ? new THREE.Mesh(ballMarkGeo, ballMarkMat)
+            : new THREE.Mesh(spikeMarkGeo, spikeMarkMat);
+        mesh.position.set(m.x, getTerrainHeight(m.x, m.z) + 0.001, m.z);
+        mesh.rotation.y = m.angle * Math.PI / 180;
+        marksGroup.add(mesh);
+    }
 
-            positions.push(x + dx, hTip + yOff, z + dz, hbx + perpX, hHb + yOff, hbz + perpZ);
-            colors.push(r, g, b, r, g, b);
-            positions.push(x + dx, hTip + yOff, z + dz, hbx - perpX, hHb + yOff, hbz - perpZ);
-            colors.push(r, g, b, r, g, b);
+    const aer = getSurfaceMarkSettings();
+    if (!aer.aeration) return;
+    const s = aer.aerationSpacing;
+    const reach = greenBoundingRadius();
+    const spots = [];
+    for (let z = Math.ceil(-reach / s) * s; z <= reach; z += s) {
+        for (let x = Math.ceil(-reach / s) * s; x <= reach; x += s) {
+            if (onGreen(x, z)) spots.push([x, z]);
         }
     }
+    const holes = new THREE.InstancedMesh(aerationGeo, aerationMat, spots.length);
+    const m4 = new THREE.Matrix4();
+    spots.forEach(([x, z], i) => holes.setMatrixAt(i, m4.makeTranslation(x, getTerrainHeight(x, z) + 0.001, z)));
+    marksGroup.add(holes);
+}
 
-    if (positions.length === 0) return;
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    const mat = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.7, depthTest: false });
-    gradientGroup.add(new THREE.LineSegments(geo, mat));
+function setMarkPlaceType(type) {
+    markPlaceType = SURFACE_MARK_TYPES.includes(type) ? type : null;
+    if (markPlaceType) setPinMode(false);
 }
 
-let gradientLastAngle = 0;
-let gradientDirty = true;
+// Click placement: spike scuffs point along the walk to the hole
+function placeMarkAt(x, z) {
+    const angle = Math.atan2(holePos.x - x, holePos.z - z) * 180 / Math.PI;
+    placeSurfaceMark(markPlaceType, x, z, (angle + 360) % 360);
+    terrainChanged();
+}
 
 // ===================================================================
-// STREAMLINES & FLOW PARTICLES (F key toggle)
+// MAKE ODDS (Monte Carlo over the player's direction and speed errors)
 // ===================================================================
-const flowGroup = new THREE.Group();
-flowGroup.visible = false;
-worldGroup.add(flowGroup);
+const ODDS_TAP_IN = 0.9;  // leaves inside this (m) are drawn as tap-ins
+const ODDS_BATCH = 10;    // putts struck per slice...
+const ODDS_FRAME_MS = 20; // ...and slices per frame, up to this much work (ms)
+const oddsGroup = new THREE.Group();
+worldGroup.add(oddsGroup);
+const oddsDotGeo = new THREE.CircleGeometry(BALL_RADIUS_M * 0.6, 8).rotateX(-Math.PI / 2);
+const oddsDotOpts = { transparent: true, opacity: 0.6, depthWrite: false, polygonOffset: true, polygonOffsetFactor: -2 };
+const oddsTapInMat = new THREE.MeshBasicMaterial({ color: 0xffffff, ...oddsDotOpts });
+const oddsLongMat = new THREE.MeshBasicMaterial({ color: 0xff8a1a, ...oddsDotOpts });
+let oddsDirSigma = ODDS_DIR_SIGMA_DEFAULT;
+let oddsSpeedSigma = ODDS_SPEED_SIGMA_DEFAULT;
+let oddsTrials = ODDS_TRIALS_DEFAULT;
+let oddsJob = null;       // { green, start, shot, samples, opts, next, makes, putts, finishes } while simulating
+const oddsRunBtn = document.getElementById('odds-run');
+
+// The putt as it would be struck now: toward the aim point at the aim point's speed,
+// or at the last stroke's speed in stroke input
+function intendedShot() {
+    const dirX = aimWorld.x - ball.pos[0];
+    const dirZ = aimWorld.z - ball.pos[2];
+    const len = Math.hypot(dirX, dirZ);
+    if (len < 1e-6) return null;
+    const speed = inputMode === 'stroke' && lastStroke
+        ? lastStroke.speed
+        : strikeSpeed(len, stimpM, strikeSpinRatio());
+    return { dirX, dirZ, speed };
+}
 
-let flowStreamlines = [];
-let flowParticles = [];
-let flowLastAngle = 0;
-let flowLastStimp = STIMP_DEFAULT;
-let flowPointsObj = null;
+function clearMakeOdds() {
+    if (oddsJob) {
+        oddsJob = null;
+        oddsRunBtn.textContent = 'Simulate';
+        oddsStatusEl.textContent = 'Stopped';
+    }
+    for (const child of oddsGroup.children) child.dispose();
+    oddsGroup.clear();
+}
 
-function traceStreamline(startX, startZ) {
-    const stepSize = 0.04;
-    let x = startX, z = startZ;
-    const points = [[x, z]];
-    const minSpSq = 0.0009; // 0.03^2
+// Strike the intended putt once per error draw (a few every frame, see advanceMakeOdds)
+// and scatter where the misses finish
+function startMakeOdds() {
+    if (gameState || ballMoving) return;
+    const shot = intendedShot();
+    if (!shot) {
+        oddsStatusEl.textContent = 'Set an aim point first';
+        return;
+    }
+    clearMakeOdds();
+    oddsJob = {
+        green: currentGreen(),
+        start: ball.pos.slice(),
+        shot,
+        samples: makeErrorSamples(oddsTrials, oddsDirSigma, oddsSpeedSigma),
+        opts: { launchDeg: launchAngleDeg, spinRatio: strikeSpinRatio() },
+        next: 0, makes: 0, putts: 0, finishes: [],
+    };
+    oddsRunBtn.textContent = 'Stop';
+    updateOddsProgress();
+}
 
-    for (let i = 0; i < 2000; i++) {
-        const g = getGradientAt(x, z, angleDeg);
-        const mag = Math.hypot(g.gx, g.gz);
-        if (mag < 0.003) break;
-        // Step along gradient direction (pure fall-line)
-        x += (g.gx / mag) * stepSize;
-        z += (g.gz / mag) * stepSize;
-        if (greenSignedDistance(x, z) > -0.1) break;
-        if (Math.hypot(x, z) < HOLE_RADIUS_M * 1.5) { points.push([x, z]); break; }
-        const last = points[points.length - 1];
-        const ddx = x - last[0], ddz = z - last[1];
-        if (ddx * ddx + ddz * ddz >= minSpSq) points.push([x, z]);
+// Called every frame: strike the next batches of error draws until the frame's budget is spent
+function advanceMakeOdds() {
+    if (!oddsJob) return;
+    const job = oddsJob;
+    const until = performance.now() + ODDS_FRAME_MS;
+    while (performance.now() < until && job.next < job.samples.length) {
+        const batch = job.samples.slice(job.next, job.next + ODDS_BATCH);
+        const odds = simulateMakeOdds(job.green, job.start, job.shot.dirX, job.shot.dirZ, job.shot.speed, batch, job.opts);
+        job.makes += odds.makes;
+        job.putts += odds.expectedPutts * odds.trials;
+        job.finishes.push(...odds.finishes);
+        job.next += batch.length;
     }
-    return points;
+    if (job.next < job.samples.length) {
+        updateOddsProgress();
+        return;
+    }
+    oddsJob = null;
+    oddsRunBtn.textContent = 'Simulate';
+    showMakeOdds(job);
 }
 
-function rebuildFlowVisuals() {
-    while (flowGroup.children.length) {
-        const c = flowGroup.children[0];
-        flowGroup.remove(c);
-        if (c.geometry) c.geometry.dispose();
+function updateOddsProgress() {
+    oddsStatusEl.textContent = `Simulating ${oddsJob.next}/${oddsJob.samples.length} putts…`;
+}
+
+function showMakeOdds({ shot, samples, makes, putts, finishes }) {
+    const trials = samples.length;
+    const odds = { trials, makes, makeRate: trials ? makes / trials : 0, expectedPutts: trials ? putts / trials : 0 };
+    const misses = finishes.filter(f => !f.made);
+    const tapIns = misses.filter(f => distToHolePos(f.x, f.z) <= ODDS_TAP_IN);
+    const longs = misses.filter(f => distToHolePos(f.x, f.z) > ODDS_TAP_IN);
+    const m4 = new THREE.Matrix4();
+    for (const [list, mat] of [[tapIns, oddsTapInMat], [longs, oddsLongMat]]) {
+        if (list.length === 0) continue;
+        const dots = new THREE.InstancedMesh(oddsDotGeo, mat, list.length);
+        list.forEach((f, i) => dots.setMatrixAt(i, m4.makeTranslation(f.x, getTerrainHeight(f.x, f.z) + 0.002, f.z)));
+        dots.renderOrder = 996;
+        oddsGroup.add(dots);
     }
-    flowPointsObj = null;
+    oddsStatusEl.textContent =
+        `${(odds.makeRate * 100).toFixed(0)}% made (${odds.makes}/${odds.trials}) at ${shot.speed.toFixed(2)} m/s\n` +
+        `${odds.expectedPutts.toFixed(2)} putts expected, ${longs.length} left past ${ODDS_TAP_IN} m`;
+}
 
-    // Seed from points around the green boundary — lines that start on the
-    // uphill side will trace long paths; downhill seeds exit quickly and
-    // get filtered out by the minimum-length check.
-    const halfWorld = TR_WORLD_SIZE / 2;
-    const spacing = 0.21;
-    flowStreamlines = [];
+// ===================================================================
+// MAKE % MAP (best make odds from every part of the green)
+// ===================================================================
+// Worked out a pace at a time from the render loop, so the page stays responsive
+// while the map fills in.
+const MAP_SPACING = 0.75;     // grid cell size (m)
+const MAP_TRIALS = 40;        // error draws per line tried
+const MAP_FRAME_MS = 20;      // work per frame before handing back to the renderer
+const mapGroup = new THREE.Group();
+worldGroup.add(mapGroup);
+let mapSkill = 2;             // index into SKILL_LEVELS
+let mapJob = null;            // { green, samples, cells, cell, pace, best, geo, done } while mapping
+let mapResult = null;         // { skill, cells } of the last finished map
+
+// Make rate 0 -> red, 0.5 -> yellow, 1 -> light blue
+function mapColor(rate, color) {
+    return color.setHSL(rate * 0.55, 0.85, 0.5 + rate * 0.1);
+}
 
-    // Scan the full world grid and seed from points near the green edge
-    for (let x = -halfWorld; x <= halfWorld; x += spacing) {
-        for (let z = -halfWorld; z <= halfWorld; z += spacing) {
-            const sd = greenSignedDistance(x, z);
-            // Seed from points just inside the edge
-            if (sd > -0.5 && sd < -0.05) {
-                const line = traceStreamline(x, z);
-                if (line.length >= 8) flowStreamlines.push(line);
-            }
+function clearMakeMap() {
+    mapJob = null;
+    mapResult = null;
+    for (const child of mapGroup.children) child.geometry.dispose();
+    mapGroup.clear();
+}
+
+// Lay a grid of cells on the green, centered on the pin, and start mapping them
+function startMakeMap() {
+    if (gameState) return;
+    clearMakeMap();
+    const reach = greenBoundingRadius();
+    const n = Math.ceil(reach / MAP_SPACING);
+    const cells = [];
+    for (let j = -n; j <= n; j++) {
+        for (let i = -n; i <= n; i++) {
+            const x = holePos.x + i * MAP_SPACING, z = holePos.z + j * MAP_SPACING;
+            if (greenSignedDistance(x, z) > 0) continue;
+            // The cell on the pin is a tap-in
+            const atPin = i === 0 && j === 0;
+            cells.push({ x, z, makeRate: atPin ? 1 : null, expectedPutts: atPin ? 1 : null });
         }
     }
 
-    // Init particles (staggered)
-    flowParticles = [];
-    for (let i = 0; i < flowStreamlines.length; i++) {
-        const lineLen = flowStreamlines[i].length;
-        flowParticles.push([i, ((i * 7 + 13) % 100) / 100 * (lineLen - 1)]);
-    }
+    // One flat quad per cell, draped on the terrain at its corners
+    const h = MAP_SPACING / 2;
+    const pos = new Float32Array(cells.length * 12);
+    const col = new Float32Array(cells.length * 12).fill(0.3);
+    const index = [];
+    cells.forEach((c, k) => {
+        [[-h, -h], [h, -h], [h, h], [-h, h]].forEach(([dx, dz], v) => {
+            const x = c.x + dx, z = c.z + dz;
+            pos.set([x, getTerrainHeight(x, z) + 0.004, z], k * 12 + v * 3);
+        });
+        const b = k * 4;
+        index.push(b, b + 2, b + 1, b, b + 3, b + 2);
+    });
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    geo.setAttribute('color', new THREE.BufferAttribute(col, 3));
+    geo.setIndex(index);
+    const mat = new THREE.MeshBasicMaterial({
+        vertexColors: true, transparent: true, opacity: 0.55, depthWrite: false,
+        side: THREE.DoubleSide, polygonOffset: true, polygonOffsetFactor: -2,
+    });
+    mapGroup.add(new THREE.Mesh(geo, mat));
+
+    const skill = SKILL_LEVELS[mapSkill];
+    mapJob = {
+        green: currentGreen(),
+        samples: makeErrorSamples(MAP_TRIALS, skill.dirSigmaDeg, skill.speedSigma),
+        spin: strikeSpinRatio(0),
+        cells, cell: 0, pace: 0, best: null, geo, done: 0,
+    };
+    cells.forEach((c, k) => { if (c.makeRate !== null) paintMapCell(k); });
+    mapBtn.textContent = 'Stop';
+    updateMapStatus();
+}
 
-    const yOff = 0.008;
+function paintMapCell(k) {
+    const c = mapJob.cells[k];
+    const color = mapColor(c.makeRate, new THREE.Color());
+    const attr = mapJob.geo.getAttribute('color');
+    for (let v = 0; v < 4; v++) attr.setXYZ(k * 4 + v, color.r, color.g, color.b);
+    attr.needsUpdate = true;
+    mapJob.done++;
+}
+
+// Called every frame: try one line (a cell at one pace) at a time until the frame's budget is spent
+function advanceMakeMap() {
+    if (!mapJob) return;
+    const job = mapJob;
+    const until = performance.now() + MAP_FRAME_MS;
+    while (performance.now() < until && job.cell < job.cells.length) {
+        const c = job.cells[job.cell];
+        if (c.makeRate !== null) { job.cell++; continue; }
+        const start = [c.x, getTerrainHeight(c.x, c.z) + BALL_RADIUS_M, c.z];
+        job.best = betterOdds(job.best, paceMakeOdds(job.green, start, LINE_PACES[job.pace], job.samples, {
+            spinRatio: job.spin,
+        }));
+        if (++job.pace < LINE_PACES.length) continue;
+        c.makeRate = job.best.makeRate;
+        c.expectedPutts = job.best.expectedPutts;
+        paintMapCell(job.cell);
+        job.cell++;
+        job.pace = 0;
+        job.best = null;
+    }
+    if (job.cell >= job.cells.length) {
+        mapResult = { skill: SKILL_LEVELS[mapSkill], cells: job.cells };
+        mapJob = null;
+        mapBtn.textContent = 'Map green';
+    }
+    updateMapStatus();
+}
+
+function stopMakeMap() {
+    if (!mapJob) return;
+    mapJob = null;
+    mapBtn.textContent = 'Map green';
+    mapStatusEl.textContent = 'Stopped';
+}
+
+// Numeric summary: how hard this green and pin are for the chosen player
+function updateMapStatus() {
+    if (mapJob) {
+        mapStatusEl.textContent = `Mapping ${mapJob.done}/${mapJob.cells.length} spots…`;
+        return;
+    }
+    if (!mapResult) return;
+    const cells = mapResult.cells;
+    const mean = key => cells.reduce((sum, c) => sum + c[key], 0) / cells.length;
+    const easy = cells.filter(c => c.makeRate >= 0.5).length;
+    // Radius of a circle as large as the area holed at least half the time
+    const easyRadius = Math.sqrt(easy * MAP_SPACING * MAP_SPACING / Math.PI);
+    mapStatusEl.textContent =
+        `${mapResult.skill.name}: ${(mean('makeRate') * 100).toFixed(0)}% average make, ` +
+        `${mean('expectedPutts').toFixed(2)} putts\n` +
+        `50%+ from ${(easy / cells.length * 100).toFixed(0)}% of the green (about ${easyRadius.toFixed(1)} m round the pin)`;
+}
+
+// ===================================================================
+// BREAK CHART (clock drill: aim and speed from rings of spots round the hole)
+// ===================================================================
+// Each spot's holing line is solved by the solver worker, one spot per request so
+// the chart fills in as it goes. The aim offset is the same
+// measure as aimInfoLabel's: the hole's perpendicular distance from the start line.
+const BREAK_CHART_DISTANCES = [1, 2, 3, 5];     // rings round the hole (m)
+const BREAK_CHART_CLOCK = 12;                   // spots per ring; 12 o'clock is straight uphill of the hole
+const BREAK_CHART_PACE = HINT_PACES[1].pace;    // charted lines roll this far past (firmer if that lips out)
+const BREAK_CHART_COLORS = [0xffffff, 0x66ccff, 0xffd54f, 0xff8a65]; // per ring
+const CUP_DIAMETER_M = 2 * HOLE_RADIUS_M;
+const chartGroup = new THREE.Group();
+worldGroup.add(chartGroup);
+const chartLabelsEl = document.createElement('div');
+document.getElementById('hud').appendChild(chartLabelsEl);
+let chartJob = null;       // { request, spots, next, done, settings, fields } while charting
+let chartResult = null;    // { spots, settings } of the last finished chart
+const chartBtn = document.getElementById('chart-run');
+const chartStatusEl = document.getElementById('chart-status');
+// Table overlay (bottom left, like the aim info label)
+const chartTableEl = document.createElement('div');
+chartTableEl.style.cssText = `
+    position: absolute; bottom: 40px; left: 12px; display: none;
+    background: rgba(0,0,0,0.75); border: 1px solid rgba(255,255,255,0.3); color: #ebebeb;
+    padding: 6px 8px; font-family: 'Courier New', monospace; font-size: 10px; line-height: 1.25;
+`;
+document.getElementById('hud').appendChild(chartTableEl);
+
+function clearBreakChart() {
+    if (chartJob) {
+        cancelSolverRequest(chartJob.request);
+        chartJob = null;
+        chartBtn.textContent = 'Chart';
+    }
+    chartResult = null;
+    for (const child of chartGroup.children) {
+        child.geometry.dispose();
+        child.material.dispose();
+    }
+    chartGroup.clear();
+    chartLabelsEl.replaceChildren();
+    chartTableEl.replaceChildren();
+    chartTableEl.style.display = 'none';
+}
+
+// "3:00" for the spot a quarter turn clockwise (seen from above) from straight uphill
+function clockLabel(k) {
+    return `${k === 0 ? 12 : k * 12 / BREAK_CHART_CLOCK}:00`;
+}
+
+function startBreakChart() {
+    if (gameState || ballMoving) return;
+    clearBreakChart();
+    // 12 o'clock: straight up the fall line at the hole (the positive z axis on a flat green)
+    const g = getGradientAt(holePos.x, holePos.z, angleDeg);
+    const gl = Math.hypot(g.gx, g.gz);
+    const ux = gl > 1e-6 ? -g.gx / gl : 0, uz = gl > 1e-6 ? -g.gz / gl : 1;
+    const spots = [];
+    BREAK_CHART_DISTANCES.forEach((dist, ring) => {
+        for (let k = 0; k < BREAK_CHART_CLOCK; k++) {
+            const t = k * 2 * Math.PI / BREAK_CHART_CLOCK;
+            const c = Math.cos(t), s = Math.sin(t);
+            // Turned clockwise seen from above (positive = right of travel)
+            const x = holePos.x + (ux * c - uz * s) * dist, z = holePos.z + (uz * c + ux * s) * dist;
+            spots.push({ ring, dist, clock: k, x, z, onGreen: greenSignedDistance(x, z) < 0, hint: null });
+        }
+    });
+    chartJob = {
+        request: null, spots, next: 0, done: 0,
+        settings: `${angleDeg.toFixed(1)}° toward ${Math.round(slopeAzimuthDeg)}°, stimp ${stimpM.toFixed(1)} m`,
+        fields: {
+            options: { spinRatio: strikeSpinRatio(0) },
+            lines: [{ pace: BREAK_CHART_PACE }],
+        },
+    };
+    chartBtn.textContent = 'Stop';
+    postNextChartSpot();
+}
+
+// Send the next spot on the green to the worker, or finish
+function postNextChartSpot() {
+    const job = chartJob;
+    while (job.next < job.spots.length && !job.spots[job.next].onGreen) {
+        job.next++;
+        job.done++;
+    }
+    if (job.next >= job.spots.length) {
+        chartResult = { spots: job.spots, settings: job.settings };
+        chartJob = null;
+        chartBtn.textContent = 'Chart';
+        updateChartStatus();
+        return;
+    }
+    const spot = job.spots[job.next];
+    job.request = postSolverRequest({
+        ...job.fields,
+        start: [spot.x, getTerrainHeight(spot.x, spot.z) + BALL_RADIUS_M, spot.z],
+    }, { onResult: onChartResult });
+    updateChartStatus();
+}
+
+function onChartResult({ hints }) {
+    const spot = chartJob.spots[chartJob.next++];
+    chartJob.done++;
+    spot.hint = hints[0];
+    if (spot.hint) drawChartSpot(spot);
+    postNextChartSpot();
+}
+
+// Aim offset of a spot's line: the hole's distance from its start line (m, positive = aim right)
+function chartAimOffset(spot) {
+    const { dirX, dirZ } = spot.hint;
+    return (holePos.x - spot.x) * dirZ - (holePos.z - spot.z) * dirX;
+}
+
+function chartAimText(spot, withCups) {
+    if (!spot.onGreen) return 'off green';
+    if (!spot.hint) return 'no line';
+    const aim = chartAimOffset(spot);
+    const cm = Math.round(Math.abs(aim) * 100);
+    const side = cm === 0 ? 'straight' : `${cm} cm ${aim > 0 ? 'R' : 'L'}`;
+    return withCups && cm ? `${side} (${(Math.abs(aim) / CUP_DIAMETER_M).toFixed(1)} cups)` : side;
+}
+
+function drawChartSpot(spot) {
+    const color = BREAK_CHART_COLORS[spot.ring];
+    const y = getTerrainHeight(spot.x, spot.z);
+    // Start line out to the hole's distance, ending beside the cup by the aim offset
+    const along = (holePos.x - spot.x) * spot.hint.dirX + (holePos.z - spot.z) * spot.hint.dirZ;
+    const ex = spot.x + spot.hint.dirX * along, ez = spot.z + spot.hint.dirZ * along;
+    const lineGeo = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(spot.x, y + 0.005, spot.z),
+        new THREE.Vector3(ex, getTerrainHeight(ex, ez) + 0.005, ez),
+    ]);
+    const line = new THREE.Line(lineGeo, new THREE.LineBasicMaterial({
+        color, transparent: true, opacity: 0.5, depthTest: false,
+    }));
+    line.renderOrder = 996;
+    chartGroup.add(line);
+    const dot = new THREE.Mesh(
+        new THREE.SphereGeometry(BALL_RADIUS_M, 8, 8),
+        new THREE.MeshBasicMaterial({ color, depthTest: false })
+    );
+    dot.position.set(spot.x, y + BALL_RADIUS_M, spot.z);
+    dot.renderOrder = 998;
+    chartGroup.add(dot);
+
+    const label = document.createElement('div');
+    label.style.cssText = `
+        position: absolute; transform: translate(-50%, 6px); white-space: pre; text-align: center;
+        font-size: 10px; line-height: 1.2; color: #${color.toString(16).padStart(6, '0')};
+        text-shadow: 0 0 3px #000, 0 0 3px #000;
+    `;
+    label.textContent = `${chartAimText(spot, false)}\n${spot.hint.speed.toFixed(2)} m/s`;
+    label._world = new THREE.Vector3(spot.x, y, spot.z);
+    chartLabelsEl.appendChild(label);
+}
+
+// Keep the labels under their spots as the camera moves
+const chartLabelPos = new THREE.Vector3();
+function updateChartLabels() {
+    if (!chartLabelsEl.children.length) return;
+    const w = renderer.domElement.clientWidth, h = renderer.domElement.clientHeight;
+    for (const label of chartLabelsEl.children) {
+        chartLabelPos.copy(label._world).applyMatrix4(worldGroup.matrixWorld).project(camera);
+        label.style.display = chartLabelPos.z < 1 ? '' : 'none';
+        label.style.left = `${(chartLabelPos.x + 1) / 2 * w}px`;
+        label.style.top = `${(1 - chartLabelPos.y) / 2 * h}px`;
+    }
+}
+
+function updateChartStatus() {
+    if (chartJob) {
+        chartStatusEl.textContent = `Charting ${chartJob.done}/${chartJob.spots.length} spots…`;
+        return;
+    }
+    if (!chartResult) return;
+    chartStatusEl.textContent = `${chartResult.settings}\nAim (cups of ${(CUP_DIAMETER_M * 100).toFixed(1)} cm) and launch speed`;
+    const head = ['', ...BREAK_CHART_DISTANCES.map(d => `${d} m`)];
+    const rows = [];
+    for (let k = 0; k < BREAK_CHART_CLOCK; k++) {
+        rows.push([clockLabel(k), ...BREAK_CHART_DISTANCES.map((_, ring) => {
+            const spot = chartResult.spots[ring * BREAK_CHART_CLOCK + k];
+            return spot.hint ? `${chartAimText(spot, true)}\n${spot.hint.speed.toFixed(2)} m/s` : chartAimText(spot, true);
+        })]);
+    }
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    for (const [i, cells] of [head, ...rows].entries()) {
+        const tr = table.insertRow();
+        for (const text of cells) {
+            const td = document.createElement(i === 0 ? 'th' : 'td');
+            td.textContent = text;
+            td.style.cssText = `white-space: pre; padding: 1px 6px; text-align: left;${i === 0 ? ' color: #ffe033;' : ''}`;
+            tr.appendChild(td);
+        }
+    }
+    chartTableEl.replaceChildren(table);
+    chartTableEl.style.display = 'block';
+}
+
+// The table as tab-separated text, for pasting into a lesson sheet
+function breakChartText() {
+    const lines = [chartResult.settings, ['clock', ...BREAK_CHART_DISTANCES.map(d => `${d} m aim`), ...BREAK_CHART_DISTANCES.map(d => `${d} m speed (m/s)`)].join('\t')];
+    for (let k = 0; k < BREAK_CHART_CLOCK; k++) {
+        const spots = BREAK_CHART_DISTANCES.map((_, ring) => chartResult.spots[ring * BREAK_CHART_CLOCK + k]);
+        lines.push([
+            clockLabel(k),
+            ...spots.map(spot => chartAimText(spot, true)),
+            ...spots.map(spot => (spot.hint ? spot.hint.speed.toFixed(2) : '')),
+        ].join('\t'));
+    }
+    return lines.join('\n');
+}
+
+// ===================================================================
+// FALL LINE & ZERO-BREAK LINE
+// ===================================================================
+// The fall line is traced from the hole both ways along the rolling acceleration
+// (getGradientAt: the tilt and the local contours together). The zero-break line joins
+// the spots above and below the hole from which a putt struck straight at it holes;
+// the solver worker solves them (zeroBreakLine), a moment after the slope stops
+// changing so held keys don't restart it every frame.
+const FALL_LINE_STEP = 0.04;             // trace step (m), as traceStreamline
+const FALL_LINE_MAX_STEPS = 500;
+const FALL_LINE_MIN_ACCEL = 0.003;       // the trace stops where the green is this flat (m/s²)
+const FALL_LINE_COLOR = 0xff5252;
+const ZERO_BREAK_DISTANCES = [0.5, 1, 1.5, 2, 3, 4, 5, 6]; // spots solved either side (m from the hole)
+const ZERO_BREAK_PACE = HINT_PACES[1].pace;
+const ZERO_BREAK_COLOR = 0x69f0ae;
+const ZERO_BREAK_DELAY_MS = 300;
+const fallGroup = new THREE.Group();
+worldGroup.add(fallGroup);
+let showFallLine = false;
+let fallLine = [];            // [[x, z], …] from its top end down through the hole
+let fallLineLast = null;      // { angle, azimuth, stimp, trueRoll } it was traced for
+let zeroBreakRequest = null;  // solver request id while solving
+let zeroBreakDueAt = null;    // performance.now() time to send the next request at
+let zeroBreakProgress = null; // fraction while solving
+let zeroBreakSpots = null;    // { above, below } once solved
+const fallStatusEl = document.getElementById('fall-status');
+// Connector from the ball to the nearest point of the fall line
+const fallOffsetLine = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+    new THREE.LineDashedMaterial({ color: 0xffffff, dashSize: 0.05, gapSize: 0.04, depthTest: false })
+);
+fallOffsetLine.renderOrder = 996;
+fallOffsetLine.visible = false;
+worldGroup.add(fallOffsetLine);
+
+// Fall line from the hole, downhill (sign 1) or uphill (sign -1), ending off the green,
+// where it flattens out or where it turns back on itself (a ridge or a valley)
+function traceFallLine(sign) {
+    let x = holePos.x, z = holePos.z;
+    const points = [[x, z]];
+    let px = 0, pz = 0;
+    for (let i = 0; i < FALL_LINE_MAX_STEPS; i++) {
+        const g = getGradientAt(x, z, angleDeg);
+        const mag = Math.hypot(g.gx, g.gz);
+        if (mag < FALL_LINE_MIN_ACCEL) break;
+        const dx = sign * g.gx / mag, dz = sign * g.gz / mag;
+        if (dx * px + dz * pz < 0) break;
+        px = dx; pz = dz;
+        x += dx * FALL_LINE_STEP;
+        z += dz * FALL_LINE_STEP;
+        if (greenSignedDistance(x, z) > 0) break;
+        points.push([x, z]);
+    }
+    return points;
+}
+
+function clearFallGroup() {
+    for (const child of fallGroup.children) {
+        child.geometry.dispose();
+        child.material.dispose();
+    }
+    fallGroup.clear();
+}
+
+function cancelZeroBreak() {
+    if (zeroBreakProgress !== null) {
+        cancelSolverRequest(zeroBreakRequest);
+        zeroBreakRequest = null;
+        zeroBreakProgress = null;
+    }
+    zeroBreakDueAt = null;
+    zeroBreakSpots = null;
+}
+
+function hideFallLine() {
+    cancelZeroBreak();
+    clearFallGroup();
+    fallLine = [];
+    fallLineLast = null;
+    fallOffsetLine.visible = false;
+}
+
+function fallLinePoints(points, lift) {
+    return points.map(([x, z]) => new THREE.Vector3(x, getTerrainHeight(x, z) + lift, z));
+}
+
+function rebuildFallLine() {
+    cancelZeroBreak();
+    clearFallGroup();
+    fallLine = [...traceFallLine(-1).reverse(), ...traceFallLine(1).slice(1)];
+    fallLineLast = { angle: angleDeg, azimuth: slopeAzimuthDeg, stimp: stimpM, trueRoll: getTrueRollStrength() };
+    if (fallLine.length > 1) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(fallLinePoints(fallLine, 0.006)),
+            new THREE.LineBasicMaterial({ color: FALL_LINE_COLOR, depthTest: false })
+        );
+        line.renderOrder = 996;
+        fallGroup.add(line);
+    }
+    zeroBreakDueAt = performance.now() + ZERO_BREAK_DELAY_MS;
+    updateFallStatus();
+}
+
+function postZeroBreak() {
+    zeroBreakDueAt = null;
+    const g = getGradientAt(holePos.x, holePos.z, angleDeg);
+    const gl = Math.hypot(g.gx, g.gz);
+    if (gl < FALL_LINE_MIN_ACCEL) {
+        updateFallStatus();
+        return;
+    }
+    zeroBreakProgress = 0;
+    zeroBreakRequest = postSolverRequest({
+        task: 'zeroBreak',
+        options: { pace: ZERO_BREAK_PACE, spinRatio: strikeSpinRatio(0) },
+        zeroBreak: { fallX: g.gx / gl, fallZ: g.gz / gl, distances: ZERO_BREAK_DISTANCES },
+    }, {
+        onProgress: (fraction) => {
+            zeroBreakProgress = fraction;
+            updateFallStatus();
+        },
+        onResult: ({ zeroBreak }) => {
+            zeroBreakRequest = null;
+            zeroBreakProgress = null;
+            zeroBreakSpots = zeroBreak;
+            drawZeroBreak();
+            updateFallStatus();
+        },
+    });
+    updateFallStatus();
+}
+
+// Joined from the hole outward on each side, up to the first spot that has no straight putt
+function drawZeroBreak() {
+    const chain = (spots) => {
+        const n = spots.findIndex(p => !p);
+        return (n < 0 ? spots : spots.slice(0, n)).map(p => [p.x, p.z]);
+    };
+    const points = [...chain(zeroBreakSpots.above).reverse(), [holePos.x, holePos.z], ...chain(zeroBreakSpots.below)];
+    if (points.length < 2) return;
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(fallLinePoints(points, 0.007)),
+        new THREE.LineBasicMaterial({ color: ZERO_BREAK_COLOR, depthTest: false })
+    );
+    line.renderOrder = 997;
+    fallGroup.add(line);
+    for (const [x, z] of points) {
+        if (x === holePos.x && z === holePos.z) continue;
+        const dot = new THREE.Mesh(
+            new THREE.SphereGeometry(BALL_RADIUS_M * 0.6, 8, 8),
+            new THREE.MeshBasicMaterial({ color: ZERO_BREAK_COLOR, depthTest: false })
+        );
+        dot.position.set(x, getTerrainHeight(x, z) + 0.007, z);
+        dot.renderOrder = 997;
+        fallGroup.add(dot);
+    }
+}
+
+// Per frame: retrace when the slope, speed or true roll has moved, send the zero-break
+// request once things have settled, and keep the ball's connector up to date
+function advanceFallLine(now) {
+    if (!showFallLine) return;
+    const last = fallLineLast;
+    if (!last || Math.abs(angleDeg - last.angle) > 0.3 || azimuthDelta(slopeAzimuthDeg, last.azimuth) > 2 ||
+        Math.abs(stimpM - last.stimp) > 0.2 || Math.abs(getTrueRollStrength() - last.trueRoll) > 0.05) {
+        rebuildFallLine();
+    }
+    if (zeroBreakDueAt !== null && now >= zeroBreakDueAt) postZeroBreak();
+
+    const near = fallLineOffset();
+    fallOffsetLine.visible = !!near && !ballMoving && !inHole;
+    if (fallOffsetLine.visible) {
+        const p = fallOffsetLine.geometry.attributes.position.array;
+        p[0] = ball.pos[0]; p[1] = getTerrainHeight(ball.pos[0], ball.pos[2]) + 0.008; p[2] = ball.pos[2];
+        p[3] = near.x;      p[4] = getTerrainHeight(near.x, near.z) + 0.008;         p[5] = near.z;
+        fallOffsetLine.geometry.attributes.position.needsUpdate = true;
+        fallOffsetLine.computeLineDistances();
+    }
+}
+
+/**
+ * Nearest point of the fall line to the ball and how far the ball is off it:
+ * side > 0 is right of the line looking uphill. Returns { x, z, dist, side }, or null.
+ */
+function fallLineOffset() {
+    if (fallLine.length < 2) return null;
+    const bx = ball.pos[0], bz = ball.pos[2];
+    let best = null;
+    for (let i = 1; i < fallLine.length; i++) {
+        const [ax, az] = fallLine[i - 1], [cx, cz] = fallLine[i];
+        const sx = cx - ax, sz = cz - az;
+        const t = Math.max(0, Math.min(1, ((bx - ax) * sx + (bz - az) * sz) / (sx * sx + sz * sz || 1)));
+        const x = ax + sx * t, z = az + sz * t;
+        const dist = Math.hypot(bx - x, bz - z);
+        // The line runs downhill, so uphill is (-sx, -sz) and its right is (sz, -sx)
+        if (!best || dist < best.dist) best = { x, z, dist, side: Math.sign((bx - x) * sz - (bz - z) * sx) };
+    }
+    return best;
+}
+
+// "12 cm above the hole · 0.42 m right of the fall line" for the HUD
+function fallLineLabel() {
+    const rise = effectiveElevation(ball.pos[0], ball.pos[2]) - effectiveElevation(holePos.x, holePos.z);
+    const cm = Math.round(Math.abs(rise) * 100);
+    const height = cm === 0 ? 'level with the hole' : `${cm} cm ${rise > 0 ? 'above' : 'below'} the hole`;
+    const near = fallLineOffset();
+    if (!near) return `ball: ${height}`;
+    const side = near.dist < 0.005 ? 'on the fall line'
+        : `${near.dist.toFixed(2)} m ${near.side > 0 ? 'right' : 'left'} of the fall line (looking uphill)`;
+    return `ball: ${height}, ${side}`;
+}
+
+function updateFallStatus() {
+    if (!showFallLine) {
+        fallStatusEl.textContent = 'Steepest way down through the hole';
+        return;
+    }
+    const length = (fallLine.length - 1) * FALL_LINE_STEP;
+    const lines = [length > 0 ? `Fall line ${length.toFixed(1)} m through the hole` : 'Flat at the hole: no fall line'];
+    if (zeroBreakProgress !== null) {
+        lines.push(`Zero-break line: solving ${Math.round(zeroBreakProgress * 100)}%`);
+    } else if (zeroBreakSpots) {
+        const found = [...zeroBreakSpots.above, ...zeroBreakSpots.below].filter(Boolean).length;
+        lines.push(`Zero-break line: ${found} of ${2 * ZERO_BREAK_DISTANCES.length} spots`);
+    }
+    fallStatusEl.textContent = lines.join('\n');
+}
+
+// ===================================================================
+// BREAK POINT MARKERS
+// ===================================================================
+const breakGroup = new THREE.Group();
+worldGroup.add(breakGroup);
+
+function rebuildBreakMarkers() {
+    while (breakGroup.children.length) breakGroup.remove(breakGroup.children[0]);
+    const geo = new THREE.SphereGeometry(BALL_RADIUS_M * 1.5, 8, 8);
+    const mat = new THREE.MeshBasicMaterial({ color: 0xff6600 });
+    for (const [pos] of breakPoints) {
+        const mesh = new THREE.Mesh(geo, mat);
+        const y = getTerrainHeight(pos[0], pos[1]) + 0.01;
+        mesh.position.set(pos[0], y, pos[1]);
+        breakGroup.add(mesh);
+    }
+}
+
+// ===================================================================
+// GRADIENT ARROWS (G key toggle)
+// ===================================================================
+const gradientGroup = new THREE.Group();
+gradientGroup.visible = false;
+worldGroup.add(gradientGroup);
+
+function buildGradientArrows() {
+    while (gradientGroup.children.length) {
+        const c = gradientGroup.children[0];
+        gradientGroup.remove(c);
+        if (c.geometry) c.geometry.dispose();
+    }
+
+    const halfWorld = TR_WORLD_SIZE / 2;
+    const spacing = 0.4;
+    const arrowScale = 0.25;
+    const headRatio = 0.3;
+    const yOff = 0.008;
+    const positions = [];
+    const colors = [];
+
+    for (let x = -halfWorld + spacing; x < halfWorld; x += spacing) {
+        for (let z = -halfWorld + spacing; z < halfWorld; z += spacing) {
+            if (greenSignedDistance(x, z) > -0.3) continue; // only inside green
+            if (distToHolePos(x, z) < HOLE_RADIUS_M * 3) continue;
+
+            const { gx, gz } = getGradientAt(x, z, angleDeg);
+            const mag = Math.hypot(gx, gz);
+            if (mag < 0.01) continue;
+
+            const length = Math.min(spacing * 0.4, mag * arrowScale);
+            const dx = gx / mag * length;
+            const dz = gz / mag * length;
+
+            const h = getTerrainHeight(x, z);
+            const hTip = getTerrainHeight(x + dx, z + dz);
+
+            const t = Math.min(1.0, mag / 3.0);
+            const r = t * 1.0 + (1 - t) * 0.2;
+            const g = t * 0.85 + (1 - t) * 0.8;
+            const b = t * 0.1 + (1 - t) * 0.9;
+
+            // Shaft
+            positions.push(x, h + yOff, z, x + dx, hTip + yOff, z + dz);
+            colors.push(r, g, b, r, g, b);
+
+            // Arrowhead wings
+            const headLen = length * headRatio;
+            const perpX = -dz / length * headLen * 0.5;
+            const perpZ = dx / length * headLen * 0.5;
+            const hbx = x + dx - (dx / length) * headLen;
+            const hbz = z + dz - (dz / length) * headLen;
+            const hHb = getTerrainHeight(hbx, hbz);
+
+            positions.push(x + dx, hTip + yOff, z + dz, hbx + perpX, hHb + yOff, hbz + perpZ);
+            colors.push(r, g, b, r, g, b);
+            positions.push(x + dx, hTip + yOff, z + dz, hbx - perpX, hHb + yOff, hbz - perpZ);
+            colors.push(r, g, b, r, g, b);
+        }
+    }
+
+    if (positions.length === 0) return;
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    const mat = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.7, depthTest: false });
+    gradientGroup.add(new THREE.LineSegments(geo, mat));
+}
+
+let gradientLastAngle = 0;
+let gradientLastAzimuth = 0;
+let gradientDirty = true;
+
+// ===================================================================
+// STREAMLINES & FLOW PARTICLES (F key toggle)
+// ===================================================================
+const flowGroup = new THREE.Group();
+flowGroup.visible = false;
+worldGroup.add(flowGroup);
+
+let flowStreamlines = [];
+let flowParticles = [];
+let flowLastAngle = 0;
+let flowLastAzimuth = 0;
+let flowLastStimp = STIMP_DEFAULT;
+let flowPointsObj = null;
+
+function traceStreamline(startX, startZ) {
+    const stepSize = 0.04;
+    let x = startX, z = startZ;
+    const points = [[x, z]];
+    const minSpSq = 0.0009; // 0.03^2
+
+    for (let i = 0; i < 2000; i++) {
+        const g = getGradientAt(x, z, angleDeg);
+        const mag = Math.hypot(g.gx, g.gz);
+        if (mag < 0.003) break;
+        // Step along gradient direction (pure fall-line)
+        x += (g.gx / mag) * stepSize;
+        z += (g.gz / mag) * stepSize;
+        if (greenSignedDistance(x, z) > -0.1) break;
+        if (distToHolePos(x, z) < HOLE_RADIUS_M * 1.5) { points.push([x, z]); break; }
+        const last = points[points.length - 1];
+        const ddx = x - last[0], ddz = z - last[1];
+        if (ddx * ddx + ddz * ddz >= minSpSq) points.push([x, z]);
+    }
+    return points;
+}
+
+function rebuildFlowVisuals() {
+    while (flowGroup.children.length) {
+        const c = flowGroup.children[0];
+        flowGroup.remove(c);
+        if (c.geometry) c.geometry.dispose();
+    }
+    flowPointsObj = null;
+
+    // Seed from points around the green boundary — lines that start on the
+    // uphill side will trace long paths; downhill seeds exit quickly and
+    // get filtered out by the minimum-length check.
+    const halfWorld = TR_WORLD_SIZE / 2;
+    const spacing = 0.21;
+    flowStreamlines = [];
+
+    // Scan the full world grid and seed from points near the green edge
+    for (let x = -halfWorld; x <= halfWorld; x += spacing) {
+        for (let z = -halfWorld; z <= halfWorld; z += spacing) {
+            const sd = greenSignedDistance(x, z);
+            // Seed from points just inside the edge
+            if (sd > -0.5 && sd < -0.05) {
+                const line = traceStreamline(x, z);
+                if (line.length >= 8) flowStreamlines.push(line);
+            }
+        }
+    }
+
+    // Init particles (staggered)
+    flowParticles = [];
+    for (let i = 0; i < flowStreamlines.length; i++) {
+        const lineLen = flowStreamlines[i].length;
+        flowParticles.push([i, ((i * 7 + 13) % 100) / 100 * (lineLen - 1)]);
+    }
+
+    const yOff = 0.008;
 
     // Draw streamline curves
     const lineMat = new THREE.LineBasicMaterial({
@@ -1196,6 +2202,7 @@ function rebuildFlowVisuals() {
     }
 
     flowLastAngle = angleDeg;
+    flowLastAzimuth = slopeAzimuthDeg;
     flowLastStimp = stimpM;
 }
 
@@ -1250,6 +2257,7 @@ const GRID_FLOW_SPACING = 0.5;   // grid segment size in meters
 let gridFlowParticles = [];  // [{spawnX, spawnZ, targetX, targetZ, t}]
 let gridFlowPointsObj = null;
 let gridFlowLastAngle = 0;
+let gridFlowLastAzimuth = 0;
 let gridFlowLastStimp = STIMP_DEFAULT;
 
 // Pick the neighboring grid intersection most aligned with the gradient
@@ -1363,6 +2371,7 @@ function rebuildGridFlow() {
     }
 
     gridFlowLastAngle = angleDeg;
+    gridFlowLastAzimuth = slopeAzimuthDeg;
     gridFlowLastStimp = stimpM;
 }
 
@@ -1430,14 +2439,19 @@ function rebuildSlopeIndicator() {
     const yOff = 0.01;
     const arrowLen = Math.max(0.3, Math.min(1.5, Math.abs(angleDeg) * 0.15));
     const headSize = 0.12;
+    // Points downhill: along the slope azimuth, flipped for a negative slope
+    const d = slopeDirection(slopeAzimuthDeg);
     const dir = angleDeg > 0 ? 1.0 : -1.0;
-    const startZ = -(arrowLen / 2) * dir;
-    const endZ = (arrowLen / 2) * dir;
+    const ux = d.x * dir, uz = d.z * dir;   // arrow direction
+    const px = uz, pz = -ux;                // across the arrow
+    const sx = arrowX - ux * arrowLen / 2, sz = -uz * arrowLen / 2;
+    const ex = arrowX + ux * arrowLen / 2, ez = uz * arrowLen / 2;
+    const bx = ex - ux * headSize, bz = ez - uz * headSize;
 
     const pos = [
-        arrowX, yOff, startZ, arrowX, yOff, endZ,
-        arrowX, yOff, endZ, arrowX - headSize * 0.5, yOff, endZ - headSize * dir,
-        arrowX, yOff, endZ, arrowX + headSize * 0.5, yOff, endZ - headSize * dir
+        sx, yOff, sz, ex, yOff, ez,
+        ex, yOff, ez, bx - px * headSize * 0.5, yOff, bz - pz * headSize * 0.5,
+        ex, yOff, ez, bx + px * headSize * 0.5, yOff, bz + pz * headSize * 0.5
     ];
     const geo = new THREE.BufferGeometry();
     geo.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
@@ -1481,30 +2495,45 @@ const messageEl = document.getElementById('message');
 
 function updateHUD() {
     const lines = [
-        `angle: ${angleDeg.toFixed(1)} deg`,
+        terrainSource ? `seed: ${greenSeed} + ${terrainSource} (not in links)` : `seed: ${greenSeed}`,
+        `angle: ${angleDeg.toFixed(1)} deg toward ${Math.round(slopeAzimuthDeg)} deg`,
+        grainLabel(),
         `stimp: ${stimpM.toFixed(1)} m`,
+        speedMapLabel(),
+        surfaceMarksLabel(),
         `true roll: ${getTrueRollStrength().toFixed(1)}`,
         `start dist: ${ballCircleRadius.toFixed(1)} m`,
         `launch angle: ${launchAngleDeg > 0 ? '+' : ''}${launchAngleDeg} deg`,
+        `strike spin: ${strikeSpin > 0 ? '+' : ''}${strikeSpin.toFixed(1)}`,
+        `flagstick: ${flagstickIn ? 'in' : 'out'}`,
+        `input: ${inputMode === 'stroke' ? 'stroke' : 'aim point'}`,
     ];
 
     if (ballMoving) {
-        lines.push(`speed: ${Math.hypot(ballVel[0], ballVel[2]).toFixed(2)} m/s`);
+        lines.push(`speed: ${Math.hypot(ball.vel[0], ball.vel[2]).toFixed(2)} m/s`);
     } else {
         const aimDist = Math.max(
-            Math.hypot(aimWorld.x - ballPos[0], aimWorld.z - ballPos[2]), 0.1
+            Math.hypot(aimWorld.x - ball.pos[0], aimWorld.z - ball.pos[2]), 0.1
         );
-        const v0 = STIMP_V0 * Math.sqrt(aimDist / stimpM);
-        lines.push(`shot speed: ${v0.toFixed(2)} m/s`);
+        const v0 = strikeSpeed(aimDist, stimpM, strikeSpinRatio());
+        if (inputMode === 'aim') lines.push(`shot speed: ${v0.toFixed(2)} m/s`);
     }
+    if (inputMode === 'stroke' && lastStroke) {
+        lines.push(strokeLabel());
+        if (!ballMoving) lines.push(`last stroke speed: ${lastStroke.speed.toFixed(2)} m/s`);
+    }
+    if (ball.skidDistance > 0) lines.push(skidLabel());
+    if (hintProgress !== null) lines.push(`hint: solving ${Math.round(hintProgress * 100)}%`);
+    for (const n of hintNotes) lines.push(`hint ${n.name}: ${n.text}`);
+    if (showFallLine && !ballMoving) lines.push(fallLineLabel());
 
     lines.push(`distance: ${travelDist.toFixed(2)} m`);
-    lines.push(`to hole: ${Math.hypot(ballPos[0], ballPos[2]).toFixed(2)} m`);
-    lines.push(`height: ${ballPos[1].toFixed(3)} m`);
+    lines.push(`to hole: ${distToHolePos(ball.pos[0], ball.pos[2]).toFixed(2)} m`);
+    lines.push(`height: ${ball.pos[1].toFixed(3)} m`);
 
-    if (ballMoving || maxHeight > BALL_RADIUS_M + 0.01) {
-        lines.push(`max height: ${maxHeight.toFixed(3)} m`);
-        lines.push(`bounces: ${bounceCount}`);
+    if (ballMoving || ball.maxHeight > BALL_RADIUS_M + 0.01) {
+        lines.push(`max height: ${ball.maxHeight.toFixed(3)} m`);
+        lines.push(`bounces: ${ball.bounces}`);
     }
 
     statsEl.textContent = lines.join('\n');
@@ -1517,7 +2546,17 @@ function updateHUD() {
 // INPUT
 // ===================================================================
 const keysHeld = {};
-window.addEventListener('keydown', (e) => { keysHeld[e.key] = true; });
+
+// Keys typed into a text field must not drive the simulator
+function isTypingTarget(e) {
+    return (e.target instanceof HTMLInputElement && e.target.type === 'text') ||
+        e.target instanceof HTMLSelectElement;
+}
+
+window.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e)) return;
+    keysHeld[e.key] = true;
+});
 window.addEventListener('keyup', (e) => { keysHeld[e.key] = false; });
 
 renderer.domElement.addEventListener('mousemove', (e) => {
@@ -1527,14 +2566,17 @@ renderer.domElement.addEventListener('mousemove', (e) => {
 
 // Prevent arrow keys from scrolling
 window.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e)) return;
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(e.key)) {
         e.preventDefault();
     }
 
     // Discrete key events
     // During game mode: allow shoot (space), camera (B, Z/U), help (H) only
-    if (e.key === ' ' && !ballMoving && !inHole) {
-        if (!gameState || gameState === 'putting') shoot();
+    if (e.key === ' ' && canStrike()) {
+        if (inputMode === 'aim') shoot();
+        else if (!e.repeat && !strokeDrag) beginStroke('key', null);
+        else if (!e.repeat && strokeDrag.pointerId === 'key' && strokeDrag.key.topAt !== null) releaseStroke();
     }
     if (e.key === 'h' || e.key === 'H') showHelp = !showHelp;
     if (e.key === 'b' || e.key === 'B') resetCamera();
@@ -1553,6 +2595,8 @@ window.addEventListener('keydown', (e) => {
         if (e.key === 'x' || e.key === 'X') stimpM = Math.min(6.0, stimpM + 0.1);
         if (e.key === 'y' || e.key === 'Y') stimpM = Math.max(1.0, stimpM - 0.1);
         if ((e.key === 'r' || e.key === 'R') && !e.repeat) resetBall(e.shiftKey);
+        if ((e.key === 'p' || e.key === 'P') && !e.repeat && !ballMoving) setPinMode(!pinMode);
+        if ((e.key === 'e' || e.key === 'E') && !e.repeat && !ballMoving) setSculptMode(!sculptMode);
         if (e.key === '1' && !ballMoving && ballOnCircle) {
             ballCircleRadius = Math.max(BALL_CIRCLE_MIN, ballCircleRadius - BALL_CIRCLE_STEP);
             updateBallOnCircle();
@@ -1585,6 +2629,7 @@ function highlightHelp(action) {
 }
 
 window.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e)) return;
     const keyVal = e.shiftKey && e.key !== 'Shift' ? `shift+${e.key}` : e.key;
     highlightHelp(keyVal);
 });
@@ -1605,34 +2650,35 @@ renderer.domElement.addEventListener('mouseup', (e) => {
     const dist = Math.hypot(e.clientX - _mouseDownPos.x, e.clientY - _mouseDownPos.y);
     const elapsed = performance.now() - _mouseDownTime;
     _mouseDownPos = null;
-    if (dist < CLICK_MAX_MOVE && elapsed < CLICK_MAX_TIME && !ballMoving && inHole) {
-        resetBall(false);
+    if (dist < CLICK_MAX_MOVE && elapsed < CLICK_MAX_TIME) handleGreenTap(e.clientX, e.clientY);
+});
+
+// Short click / tap on the canvas: place the pin, reset after a hole-in, or set the aimpoint
+function handleGreenTap(clientX, clientY) {
+    if (ballMoving || sculptMode) return;
+    if (pinMode) {
+        const pt = pickGroundPoint(clientX, clientY);
+        if (pt && setHolePosition(pt.x, pt.z)) setPinMode(false);
         return;
     }
-    if (dist < CLICK_MAX_MOVE && elapsed < CLICK_MAX_TIME && !ballMoving && !inHole) {
-        // Short click — set aimpoint via raycast
-        const ndc = new THREE.Vector2(
-            (e.clientX / window.innerWidth) * 2 - 1,
-            -(e.clientY / window.innerHeight) * 2 + 1
-        );
-        _raycaster.setFromCamera(ndc, camera);
-        _invMatrix.copy(worldGroup.matrixWorld).invert();
-        const origin = _raycaster.ray.origin.clone().applyMatrix4(_invMatrix);
-        const dir = _raycaster.ray.direction.clone().transformDirection(_invMatrix);
-        if (Math.abs(dir.y) > 1e-10) {
-            const t = -origin.y / dir.y;
-            if (t > 0) {
-                const ax = origin.x + t * dir.x;
-                const az = origin.z + t * dir.z;
-                aimWorld.set(ax, getTerrainHeight(ax, az), az);
-                aimLocked = true;
-                aimDot.material.color.setHex(0xe61a1a); // red — new active aimpoint
-                clearHint();
-                showAimPopup(e.clientX, e.clientY);
-            }
-        }
+    if (markPlaceType && !gameState) {
+        const pt = pickGroundPoint(clientX, clientY);
+        if (pt && greenSignedDistance(pt.x, pt.z) <= 0) placeMarkAt(pt.x, pt.z);
+        return;
     }
-});
+    if (inHole) {
+        resetBall(false);
+        return;
+    }
+    const pt = pickGroundPoint(clientX, clientY);
+    if (!pt) return;
+    aimWorld.set(pt.x, getTerrainHeight(pt.x, pt.z), pt.z);
+    aimLocked = true;
+    aimDot.material.color.setHex(0xe61a1a); // red — new active aimpoint
+    clearHint();
+    clearMakeOdds();
+    showAimPopup(clientX, clientY);
+}
 
 renderer.domElement.addEventListener('wheel', () => {
     highlightHelp('wheel');
@@ -1659,6 +2705,187 @@ function resetCamera() {
     controls.update();
 }
 
+// ===================================================================
+// SCENARIO CODES (shareable links: page URL hash <-> current setup)
+// ===================================================================
+const SCENARIO_URL_INTERVAL = 1000; // ms between URL updates
+const copyLinkBtn = document.querySelector('[data-action="copyLink"]');
+let lastScenarioCode = '';
+let lastScenarioUrlTime = 0;
+
+function currentScenario() {
+    // The putt being set up: where the ball sits, or where it was struck from if holed
+    const start = inHole && lastShotStartPos ? lastShotStartPos : { x: ball.pos[0], z: ball.pos[2] };
+    return {
+        seed: greenSeed,
+        hole: holePos,
+        slope: angleDeg,
+        slopeAzimuth: slopeAzimuthDeg,
+        stimp: stimpM,
+        trueRoll: getTrueRollStrength(),
+        launch: launchAngleDeg,
+        strikeSpin,
+        substeps: getPhysicsRate().substeps,
+        ...(flagstickIn ? { flagstick: 1 } : {}),
+        ball: start,
+        aim: aimLocked ? { x: aimWorld.x, z: aimWorld.z } : null,
+        features: featuresEdited ? getFeatures().map(packFeature) : null,
+        ...generatorScenarioFields(),
+        ...grainScenarioFields(),
+        ...(getSpeedMapSettings().mode === 'generated' ? { speedVariation: getSpeedMapSettings().variation } : {}),
+        ...surfaceMarkScenarioFields(),
+    };
+}
+
+// Surface marks go into scenario codes only when there are any: the seeded counts,
+// the aeration pattern and each placed mark as [type index, x, z, angle]
+function surfaceMarkScenarioFields() {
+    const mk = getSurfaceMarkSettings();
+    const placed = getPlacedSurfaceMarks();
+    return {
+        ...(mk.ballMarks ? { ballMarks: mk.ballMarks } : {}),
+        ...(mk.spikePaths ? { spikePaths: mk.spikePaths } : {}),
+        ...(mk.aeration ? { aerationSpacing: mk.aerationSpacing, aerationDepth: mk.aerationDepth } : {}),
+        ...(placed.length ? {
+            placedMarks: placed.map(m => [SURFACE_MARK_TYPES.indexOf(m.type), m.x, m.z, m.angle]),
+        } : {}),
+    };
+}
+
+// Grain goes into scenario codes only when it is on
+function grainScenarioFields() {
+    const grain = getGrainSettings();
+    if (grain.mode === 'off') return {};
+    return { grainMode: GRAIN_MODES.indexOf(grain.mode), grainDir: grain.direction, grainStrength: grain.strength };
+}
+
+// Generator settings go into scenario codes only when they differ from the defaults
+function generatorKey(gen) {
+    // Rounded like the scenario code, so slider round-off does not count as a change
+    const octaves = gen.octaves.slice(0, gen.octaveCount).map(o => [o.amplitude.toFixed(5), o.wavelength.toFixed(2)]);
+    return JSON.stringify([gen.gridSize, gen.undulation.toFixed(2), octaves]);
+}
+function generatorScenarioFields() {
+    const gen = getGeneratorSettings();
+    if (generatorKey(gen) === generatorKey(defaultGeneratorSettings())) return {};
+    return {
+        gridSize: gen.gridSize,
+        undulation: gen.undulation,
+        octaves: gen.octaves.slice(0, gen.octaveCount).map(o => [o.amplitude, o.wavelength]),
+    };
+}
+function generatorFromScenario(sc) {
+    const octaves = (sc.octaves || []).map(([amplitude, wavelength]) => ({ amplitude, wavelength }));
+    return {
+        gridSize: sc.gridSize,
+        undulation: sc.undulation,
+        octaveCount: octaves.length || undefined,
+        octaves,
+    };
+}
+
+// Features travel in scenario codes as [type index, x, z, angle, height, width]
+function packFeature(f) {
+    return [FEATURE_TYPES.indexOf(f.type), f.x, f.z, f.angle, f.height, f.width];
+}
+function unpackFeature([type, x, z, angle, height, width]) {
+    return FEATURE_TYPES[type] ? { type: FEATURE_TYPES[type], x, z, angle, height, width } : null;
+}
+
+function applyScenario(sc) {
+    if (gameState || ballMoving) return;
+    if (Number.isFinite(sc.slope)) angleDeg = Math.max(-ANGLE_MAX_DEG, Math.min(ANGLE_MAX_DEG, sc.slope));
+    slopeAzimuthDeg = Number.isFinite(sc.slopeAzimuth) ? normalizeAzimuth(sc.slopeAzimuth) : 0;
+    if (Number.isFinite(sc.stimp)) stimpM = Math.max(1.0, Math.min(6.0, sc.stimp));
+    if (Number.isFinite(sc.trueRoll)) setTrueRollStrength(Math.max(0, Math.min(4, sc.trueRoll)));
+    if (Number.isFinite(sc.launch)) {
+        launchAngleDeg = Math.max(LAUNCH_ANGLE_MIN, Math.min(LAUNCH_ANGLE_MAX, Math.round(sc.launch)));
+    }
+    strikeSpin = Number.isFinite(sc.strikeSpin)
+        ? Math.max(STRIKE_SPIN_MIN, Math.min(STRIKE_SPIN_MAX, sc.strikeSpin))
+        : STRIKE_SPIN_DEFAULT;
+    setFlagstick(sc.flagstick === 1);
+    // Sub-steps change where a putt finishes, so the link carries them too
+    setPhysicsRate(getPhysicsRate().hz, Number.isFinite(sc.substeps) ? sc.substeps : SUBSTEPS_DEFAULT);
+    const seed = Number.isFinite(sc.seed) ? sc.seed : greenSeed;
+    const features = sc.features ? sc.features.map(unpackFeature).filter(Boolean) : undefined;
+    setGrainSettings(Number.isFinite(sc.grainMode) && GRAIN_MODES[sc.grainMode]
+        ? { mode: GRAIN_MODES[sc.grainMode], direction: sc.grainDir, strength: sc.grainStrength }
+        : { mode: 'off' });
+    refreshGrainPanel();
+    const oldSpeed = JSON.stringify(getSpeedMapSettings());
+    setSpeedMapSettings(Number.isFinite(sc.speedVariation)
+        ? { mode: 'generated', variation: sc.speedVariation }
+        : { mode: 'off' });
+    refreshSpeedPanel();
+    const speedChanged = JSON.stringify(getSpeedMapSettings()) !== oldSpeed;
+    const oldMarks = JSON.stringify(surfaceMarkScenarioFields());
+    setSurfaceMarkSettings({
+        ballMarks: sc.ballMarks ?? 0,
+        spikePaths: sc.spikePaths ?? 0,
+        aeration: Number.isFinite(sc.aerationSpacing),
+        aerationSpacing: sc.aerationSpacing,
+        aerationDepth: sc.aerationDepth,
+    });
+    setPlacedSurfaceMarks((sc.placedMarks || []).map(([type, x, z, angle]) => ({ type: SURFACE_MARK_TYPES[type], x, z, angle })));
+    refreshMarksPanel();
+    const marksChanged = JSON.stringify(surfaceMarkScenarioFields()) !== oldMarks;
+    const oldGenerator = generatorKey(getGeneratorSettings());
+    setGeneratorSettings(generatorFromScenario(sc));
+    refreshGeneratorPanel();
+    const generatorChanged = generatorKey(getGeneratorSettings()) !== oldGenerator;
+    if (seed !== greenSeed || features || generatorChanged) resetBall(true, seed, features);
+    else if (speedChanged || marksChanged) rebuildGreenMesh();
+    const hole = sc.hole ?? { x: 0, z: 0 }; // a link without a pin has it at the center, not wherever it was
+    setHolePosition(hole.x, hole.z);
+    if (sc.ball) {
+        // Put the ball on the spawn circle through the given position
+        ballCircleRadius = Math.max(0.1, distToHolePos(sc.ball.x, sc.ball.z));
+        lastCircleAngle = Math.atan2(sc.ball.z - holePos.z, sc.ball.x - holePos.x);
+    }
+    resetBall(false);
+    if (sc.aim) {
+        aimWorld.set(sc.aim.x, getTerrainHeight(sc.aim.x, sc.aim.z), sc.aim.z);
+        aimLocked = true;
+    }
+    lastScenarioCode = encodeScenario(currentScenario());
+}
+
+// Keep the URL hash pointing at the current setup (throttled; replaceState is rate-limited)
+function syncScenarioUrl(now) {
+    if (gameState || ballMoving || now - lastScenarioUrlTime < SCENARIO_URL_INTERVAL) return;
+    lastScenarioUrlTime = now;
+    // Imported or sculpted heights can't go in a code, and the seed alone would open a
+    // different green: no link until the terrain is generated again (export the file instead)
+    copyLinkBtn.disabled = !!terrainSource;
+    if (terrainSource) {
+        if (lastScenarioCode) history.replaceState(null, '', location.pathname + location.search);
+        lastScenarioCode = '';
+        return;
+    }
+    const code = encodeScenario(currentScenario());
+    if (code === lastScenarioCode) return;
+    lastScenarioCode = code;
+    history.replaceState(null, '', '#' + code);
+}
+
+function copyScenarioLink(btn) {
+    if (terrainSource) return;
+    lastScenarioCode = encodeScenario(currentScenario());
+    history.replaceState(null, '', '#' + lastScenarioCode);
+    const label = btn.textContent;
+    const done = (text) => {
+        btn.textContent = text;
+        setTimeout(() => { btn.textContent = label; }, 1500);
+    };
+    navigator.clipboard.writeText(location.href).then(() => done('Copied!'), () => done('Copy failed'));
+}
+
+window.addEventListener('hashchange', () => {
+    const code = location.hash.slice(1);
+    if (code && code !== lastScenarioCode) applyScenario(decodeScenario(code));
+});
+
 // ===================================================================
 // TOUCH UI — SLIDERS & BUTTONS
 // ===================================================================
@@ -1673,24 +2900,36 @@ sliderToggle.addEventListener('click', () => {
 
 // ---- Slider → variable wiring ----
 const slAngle  = document.getElementById('sl-angle');
+const slAzimuth = document.getElementById('sl-azimuth');
 const slStimp  = document.getElementById('sl-stimp');
 const slTroll  = document.getElementById('sl-troll');
 const slDist   = document.getElementById('sl-dist');
 const slPos    = document.getElementById('sl-pos');
 const slLaunch = document.getElementById('sl-launch');
+const slSpin = document.getElementById('sl-spin');
+const slSubsteps = document.getElementById('sl-substeps');
 
 const valAngle  = document.getElementById('val-angle');
+const valAzimuth = document.getElementById('val-azimuth');
 const valStimp  = document.getElementById('val-stimp');
 const valTroll  = document.getElementById('val-troll');
 const valDist   = document.getElementById('val-dist');
 const valPos    = document.getElementById('val-pos');
 const valLaunch = document.getElementById('val-launch');
+const valSpin = document.getElementById('val-spin');
+const valSubsteps = document.getElementById('val-substeps');
+const valPhysHz = document.getElementById('val-physhz');
 
 slAngle.addEventListener('input', () => {
     if (gameState) { syncSlidersFromState(); return; }
     angleDeg = parseFloat(slAngle.value);
     valAngle.textContent = angleDeg.toFixed(1);
 });
+slAzimuth.addEventListener('input', () => {
+    if (gameState) { syncSlidersFromState(); return; }
+    slopeAzimuthDeg = parseFloat(slAzimuth.value);
+    valAzimuth.textContent = Math.round(slopeAzimuthDeg);
+});
 slStimp.addEventListener('input', () => {
     if (gameState) { syncSlidersFromState(); return; }
     stimpM = parseFloat(slStimp.value);
@@ -1716,39 +2955,251 @@ slPos.addEventListener('input', () => {
     valPos.textContent = Math.round(parseFloat(slPos.value));
     updateBallOnCircle();
 });
-slLaunch.addEventListener('input', () => {
-    if (gameState) { syncSlidersFromState(); return; }
-    launchAngleDeg = parseInt(slLaunch.value, 10);
-    valLaunch.textContent = launchAngleDeg;
+slLaunch.addEventListener('input', () => {
+    if (gameState) { syncSlidersFromState(); return; }
+    launchAngleDeg = parseInt(slLaunch.value, 10);
+    valLaunch.textContent = launchAngleDeg;
+});
+slSpin.addEventListener('input', () => {
+    if (gameState) { syncSlidersFromState(); return; }
+    strikeSpin = parseFloat(slSpin.value);
+    valSpin.textContent = strikeSpin.toFixed(1);
+    clearHint();
+});
+slSubsteps.addEventListener('input', () => {
+    if (gameState || ballMoving) { syncSlidersFromState(); return; }
+    setPhysicsRate(getPhysicsRate().hz, parseInt(slSubsteps.value, 10));
+    physicsStepper.reset();
+});
+
+// ---- Green seed input ----
+const inSeed = document.getElementById('in-seed');
+
+function applySeedInput() {
+    const seed = parseInt(inSeed.value, 10);
+    if (gameState || ballMoving || !Number.isFinite(seed) || seed < 0) {
+        inSeed.value = greenSeed;
+        return;
+    }
+    resetBall(true, seed);
+    inSeed.blur();
+}
+
+document.getElementById('seed-go').addEventListener('click', applySeedInput);
+inSeed.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applySeedInput();
+});
+
+// ---- Pin coordinate input ("x, z" in meters) ----
+const inPin = document.getElementById('in-pin');
+
+function applyPinInput() {
+    const [x, z] = inPin.value.split(',').map(parseFloat);
+    if (gameState || ballMoving || !Number.isFinite(x) || !Number.isFinite(z) || !setHolePosition(x, z)) {
+        inPin.value = formatPin();
+        return;
+    }
+    setPinMode(false);
+    inPin.blur();
+}
+
+function formatPin() {
+    return `${holePos.x.toFixed(2)}, ${holePos.z.toFixed(2)}`;
+}
+
+document.getElementById('pin-go').addEventListener('click', applyPinInput);
+inPin.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyPinInput();
+});
+
+// ---- Terrain files: import (PNG heightmap, ASCII/CSV grid, green JSON) and export ----
+const impLayer = document.getElementById('imp-layer');
+const impCell = document.getElementById('imp-cell');
+const impVScale = document.getElementById('imp-vscale');
+const impFile = document.getElementById('imp-file');
+const impStatus = document.getElementById('imp-status');
+
+function setImportStatus(text, isError = false) {
+    impStatus.textContent = text;
+    impStatus.classList.toggle('error', isError);
+}
+
+// Load a green saved by exportGreen: grids, shape, pin and green settings
+function loadGreenFile(g) {
+    greenSeed = g.seed;
+    featuresEdited = true; // the file's features need not match the seed's
+    g.grids.features = g.grids.features.filter(f => FEATURE_TYPES.includes(f.type));
+    setShapeSeeds(g.shapeSeeds.seedA, g.shapeSeeds.seedB);
+    // The grain and seeded marks scatter from the file's seed, not the last green's
+    setTerrainGrids({ ...g.grids, seed: g.seed }, g.worldSize, g.heightScale);
+    setGeneratorSettings(g.generator ?? {});
+    refreshGeneratorPanel();
+    setGrainSettings(g.grain ?? { mode: 'off' });
+    refreshGrainPanel();
+    refreshSpeedPanel(); // setTerrainGrids loaded the file's speed map, if any
+    setSurfaceMarkSettings(g.marks ?? { ballMarks: 0, spikePaths: 0, aeration: false });
+    setPlacedSurfaceMarks(g.placedMarks);
+    refreshMarksPanel();
+    angleDeg = Math.max(-ANGLE_MAX_DEG, Math.min(ANGLE_MAX_DEG, g.slope));
+    slopeAzimuthDeg = normalizeAzimuth(g.slopeAzimuth);
+    stimpM = Math.max(1.0, Math.min(6.0, g.stimp));
+    setTrueRollStrength(Math.max(0, Math.min(4, g.trueRoll)));
+    holePos = { x: g.hole.x, z: g.hole.z };
+}
+
+async function importTerrainFile(file) {
+    const isPng = /\.png$/i.test(file.name) || file.type === 'image/png';
+    const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+    let rows, cellSize = parseFloat(impCell.value);
+    let info;
+    if (isJson) {
+        const g = decodeGreenFile(await file.text());
+        loadGreenFile(g);
+        info = `seed ${g.seed}, ${g.grids.height.length}\u00D7${g.grids.height.length} grid`;
+    } else if (isPng) {
+        rows = pngToRows(await decodePng(await file.arrayBuffer()));
+    } else {
+        const grid = parseElevationGrid(await file.text());
+        rows = grid.rows;
+        if (grid.cellSize) cellSize = grid.cellSize; // header wins over the field
+    }
+    if (!isJson) {
+        if (!(cellSize > 0)) throw new Error('Cell size must be a positive number of meters');
+        const layer = impLayer.value;
+        if (layer === 'height') {
+            const vScale = parseFloat(impVScale.value);
+            if (!Number.isFinite(vScale)) throw new Error('Vertical scale must be a number');
+            importHeightGrid(rows, cellSize, vScale);
+        } else {
+            importTrueRollGrid(layer === 'trueRollX' ? 'x' : 'z', rows, cellSize);
+        }
+        info = `${rows[0].length}\u00D7${rows.length} @ ${cellSize} m`;
+    }
+
+    terrainSource = file.name;
+    terrainChanged();
+    refreshFeaturePanel();
+    return info;
+}
+
+// Aim points, hints and overlays from before a terrain edit no longer apply
+function terrainChanged() {
+    clearHint();
+    clearAllTrails();
+    shotAimPoints = [];
+    clearAimPointMarkers();
+    lastShotStartPos = null;
+    rebuildGreenMesh();
+    resetBall(false);
+}
+
+function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the current green as JSON (reloadable through the import button)
+ * plus a 16-bit PNG of the height map scaled to its min..max range.
+ */
+async function exportGreen() {
+    const grids = getTerrainGrids();
+    const name = `green-${greenSeed}`;
+    downloadFile(encodeGreenFile({
+        seed: greenSeed,
+        slope: angleDeg,
+        slopeAzimuth: slopeAzimuthDeg,
+        stimp: stimpM,
+        trueRoll: getTrueRollStrength(),
+        hole: holePos,
+        shapeSeeds: getShapeSeeds(),
+        worldSize: TR_WORLD_SIZE,
+        heightScale: HEIGHT_SCALE,
+        generator: getGeneratorSettings(),
+        grain: getGrainSettings(),
+        marks: getSurfaceMarkSettings(),
+        placedMarks: getPlacedSurfaceMarks(),
+        grids,
+    }), `${name}.json`, 'application/json');
+
+    const heights = grids.height.map(row => row.map(v => v * HEIGHT_SCALE));
+    let lo = Infinity, hi = -Infinity;
+    for (const row of heights) for (const v of row) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+    const range = Math.max(hi - lo, 1e-9);
+    const cell = TR_WORLD_SIZE / (heights.length - 1);
+    const png = await encodePng16(heights.map(row => row.map(v => (v - lo) / range)), {
+        Software: 'STIMP Putting Simulator',
+        Comment: `Height map, black = ${lo.toFixed(5)} m, white = ${hi.toFixed(5)} m, ` +
+            `cell size ${cell.toFixed(5)} m, row 0 = -Z`,
+    });
+    downloadFile(png, `${name}-height.png`, 'image/png');
+    return `${name}.json, ${name}-height.png (white = ${(range * 1000).toFixed(1)} mm)`;
+}
+
+document.getElementById('imp-file-btn').addEventListener('click', () => {
+    if (!gameState && !ballMoving) impFile.click();
+});
+impFile.addEventListener('change', () => {
+    const file = impFile.files[0];
+    impFile.value = '';
+    if (!file) return;
+    setImportStatus(`Reading ${file.name}\u2026`);
+    importTerrainFile(file).then(
+        (info) => setImportStatus(`Imported ${file.name} (${info})`),
+        (err) => setImportStatus(err.message, true)
+    );
+});
+document.getElementById('exp-btn').addEventListener('click', () => {
+    exportGreen().then(
+        (info) => setImportStatus(`Exported ${info}`),
+        (err) => setImportStatus(err.message, true)
+    );
 });
 
 // ---- Bidirectional sync: keyboard → sliders ----
 function syncSlidersFromState() {
+    const { hz, substeps } = getPhysicsRate();
     slAngle.value  = angleDeg;
+    slAzimuth.value = slopeAzimuthDeg;
     slStimp.value  = stimpM;
     slTroll.value  = getTrueRollStrength();
     slDist.value   = ballCircleRadius;
     slPos.value    = Math.round(ballAngle * 180 / Math.PI) % 360;
     slLaunch.value = launchAngleDeg;
+    slSpin.value = strikeSpin;
+    slSubsteps.value = substeps;
+    if (document.activeElement !== inSeed) inSeed.value = greenSeed;
+    if (document.activeElement !== inPin) inPin.value = formatPin();
     valAngle.textContent  = angleDeg.toFixed(1);
+    valAzimuth.textContent = Math.round(slopeAzimuthDeg);
     valStimp.textContent  = stimpM.toFixed(1);
     valTroll.textContent  = getTrueRollStrength().toFixed(1);
     valDist.textContent   = ballCircleRadius.toFixed(1);
     valPos.textContent    = Math.round(ballAngle * 180 / Math.PI) % 360;
     valLaunch.textContent = launchAngleDeg;
+    valSpin.textContent = strikeSpin.toFixed(1);
+    valSubsteps.textContent = substeps;
+    valPhysHz.textContent   = hz * substeps;
 }
 
 // ---- Action buttons ----
-document.getElementById('shoot-btn').addEventListener('click', (e) => {
+const shootBtn = document.getElementById('shoot-btn');
+shootBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    if (!ballMoving && !inHole && (!gameState || gameState === 'putting')) shoot();
+    if (canStrike()) shoot();
 });
 
 hintBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    if (gameState === 'putting' && !hintUsedThisHole) showHint();
+    if (gameState === 'putting' && !hintUsedThisHole && !ballMoving) showHint();
 });
 
+const pinBtn = document.querySelector('#action-btns button[data-action="movePin"]');
+
 const flowBtn = document.getElementById('flow-btn');
 flowBtn.addEventListener('click', (e) => {
     e.preventDefault();
@@ -1766,8 +3217,575 @@ document.getElementById('action-btns').addEventListener('click', (e) => {
         case 'cycleFlow':   cycleFlowMode(); break;
         case 'resetCam':    resetCamera(); break;
         case 'startGame':   startGame(); break;
+        case 'copyLink':    copyScenarioLink(btn); break;
+        case 'movePin':     setPinMode(!pinMode); break;
+        case 'sculpt':      setSculptMode(!sculptMode); break;
+        case 'hint':        if (hintProgress !== null) clearHint(); else if (!ballMoving) showHint(); break;
+    }
+});
+
+// ---- Sculpt mode (drag on the green to edit the height map) ----
+const sculptBtn = document.querySelector('#action-btns button[data-action="sculpt"]');
+const sculptToolSel = document.getElementById('sc-tool');
+const slSculptRadius = document.getElementById('sl-sc-radius');
+const slSculptStrength = document.getElementById('sl-sc-strength');
+let sculptRadius = SCULPT_RADIUS_DEFAULT;
+let sculptStrength = SCULPT_STRENGTH_DEFAULT;
+let sculptStroke = null; // { pointerId, targetHeight } while dragging
+const sculptNDC = new THREE.Vector2(0, 0);
+
+// Brush outline, draped over the terrain under the pointer
+const SCULPT_RING_SEGMENTS = 64;
+const sculptRing = new THREE.LineLoop(
+    new THREE.BufferGeometry().setAttribute(
+        'position', new THREE.BufferAttribute(new Float32Array(SCULPT_RING_SEGMENTS * 3), 3)),
+    new THREE.LineBasicMaterial({ color: 0xffd24a, depthTest: false })
+);
+sculptRing.renderOrder = 998;
+sculptRing.visible = false;
+worldGroup.add(sculptRing);
+
+function placeSculptRing(pt) {
+    const attr = sculptRing.geometry.attributes.position;
+    for (let i = 0; i < SCULPT_RING_SEGMENTS; i++) {
+        const a = i / SCULPT_RING_SEGMENTS * Math.PI * 2;
+        const x = pt.x + sculptRadius * Math.cos(a);
+        const z = pt.z + sculptRadius * Math.sin(a);
+        attr.setXYZ(i, x, getTerrainHeight(x, z) + 0.003, z);
+    }
+    attr.needsUpdate = true;
+    sculptRing.geometry.computeBoundingSphere();
+}
+
+function setSculptMode(on) {
+    sculptMode = on;
+    sculptBtn.classList.toggle('active', on);
+    if (on) setPinMode(false);
+    if (!on) endSculptStroke();
+    sculptRing.visible = false;
+}
+
+// Move the existing mesh vertices to the edited heights (cheaper than a rebuild while dragging)
+function updateGreenMeshHeights() {
+    const pos = greenMesh.geometry.attributes.position;
+    const nrm = greenMesh.geometry.attributes.normal;
+    for (let i = 0; i < pos.count; i++) {
+        const x = pos.getX(i), z = pos.getZ(i);
+        const n = getTerrainNormal(x, z);
+        pos.setY(i, getTerrainHeight(x, z));
+        nrm.setXYZ(i, n.x, n.y, n.z);
+    }
+    pos.needsUpdate = true;
+    nrm.needsUpdate = true;
+    greenMesh.geometry.computeBoundingSphere();
+    placeHoleGroup();
+    if (!ballMoving) ball.pos[1] = getTerrainHeight(ball.pos[0], ball.pos[2]) + BALL_RADIUS_M;
+}
+
+function updateGreenMeshSpeeds() {
+    const pos = greenMesh.geometry.attributes.position;
+    const spd = greenMesh.geometry.attributes.speedScale;
+    for (let i = 0; i < pos.count; i++) spd.setX(i, speedScaleAt(pos.getX(i), pos.getZ(i)));
+    spd.needsUpdate = true;
+}
+
+// One brush dab per frame while dragging; strength is a rate, so dt keeps it frame-rate independent
+function applySculpt(dt) {
+    const pt = raycastGround(sculptNDC);
+    if (!pt) return;
+    const tool = sculptToolSel.value;
+    if (tool === 'faster' || tool === 'slower') {
+        const amount = SPEED_PAINT_RATE * sculptStrength * dt;
+        if (paintSpeed(pt.x, pt.z, sculptRadius, tool === 'faster' ? amount : -amount)) updateGreenMeshSpeeds();
+        return;
+    }
+    const amount = tool === 'raise' || tool === 'lower'
+        ? SCULPT_RATE * sculptStrength * dt
+        : 1 - Math.exp(-SCULPT_BLEND_RATE * sculptStrength * dt);
+    if (sculptHeight(tool, pt.x, pt.z, sculptRadius, amount, sculptStroke.targetHeight)) {
+        updateGreenMeshHeights();
+    }
+}
+
+function endSculptStroke() {
+    if (!sculptStroke) return;
+    const paintedSpeed = sculptStroke.paintSpeed;
+    sculptStroke = null;
+    controls.enabled = true;
+    if (paintedSpeed) {
+        refreshSpeedPanel();
+    } else if (!terrainSource) {
+        terrainSource = 'sculpted';
+    } else if (!terrainSource.endsWith('sculpted')) {
+        terrainSource += ', sculpted';
+    }
+    terrainChanged();
+}
+
+function setSculptNDC(e) {
+    sculptNDC.x = (e.clientX / window.innerWidth) * 2 - 1;
+    sculptNDC.y = -(e.clientY / window.innerHeight) * 2 + 1;
+}
+
+// Capture phase, so the stroke claims the drag before OrbitControls starts rotating
+renderer.domElement.addEventListener('pointerdown', (e) => {
+    if (!sculptMode || gameState || ballMoving || e.button !== 0 || sculptStroke) return;
+    setSculptNDC(e);
+    const pt = raycastGround(sculptNDC);
+    if (!pt || greenSignedDistance(pt.x, pt.z) > sculptRadius) return;
+    controls.enabled = false;
+    sculptStroke = {
+        pointerId: e.pointerId,
+        targetHeight: getTerrainHeight(pt.x, pt.z),
+        paintSpeed: sculptToolSel.value === 'faster' || sculptToolSel.value === 'slower',
+    };
+    renderer.domElement.setPointerCapture(e.pointerId);
+}, { capture: true });
+renderer.domElement.addEventListener('pointermove', (e) => {
+    if (sculptMode) setSculptNDC(e);
+});
+renderer.domElement.addEventListener('pointerup', (e) => {
+    if (sculptStroke && e.pointerId === sculptStroke.pointerId) endSculptStroke();
+});
+renderer.domElement.addEventListener('pointercancel', (e) => {
+    if (sculptStroke && e.pointerId === sculptStroke.pointerId) endSculptStroke();
+});
+
+slSculptRadius.addEventListener('input', () => {
+    sculptRadius = parseFloat(slSculptRadius.value);
+    document.getElementById('val-sc-radius').textContent = sculptRadius.toFixed(2);
+});
+slSculptStrength.addEventListener('input', () => {
+    sculptStrength = parseFloat(slSculptStrength.value);
+    document.getElementById('val-sc-strength').textContent = sculptStrength.toFixed(2);
+});
+
+// ---- Grass grain ----
+const grainModeSel = document.getElementById('gr-mode');
+const slGrainDir = document.getElementById('sl-gr-dir');
+const slGrainStrength = document.getElementById('sl-gr-strength');
+
+function grainLabel() {
+    const g = getGrainSettings();
+    return g.mode === 'off' ? 'grain: off' : `grain: ${g.mode}, toward ${Math.round(g.direction)} deg, ${g.strength.toFixed(2)}`;
+}
+
+function refreshGrainPanel() {
+    const g = getGrainSettings();
+    grainModeSel.value = g.mode;
+    slGrainDir.value = g.direction;
+    document.getElementById('val-gr-dir').textContent = Math.round(g.direction);
+    slGrainStrength.value = g.strength;
+    document.getElementById('val-gr-strength').textContent = g.strength.toFixed(2);
+}
+
+document.getElementById('grain-section').addEventListener('input', () => {
+    if (gameState) { refreshGrainPanel(); return; }
+    setGrainSettings({
+        mode: grainModeSel.value,
+        direction: parseFloat(slGrainDir.value),
+        strength: parseFloat(slGrainStrength.value),
+    });
+    refreshGrainPanel();
+    clearHint();
+});
+refreshGrainPanel();
+
+// ---- Green speed map ----
+const speedModeSel = document.getElementById('sp-mode');
+const slSpeedVar = document.getElementById('sl-sp-var');
+const speedTintBox = document.getElementById('sp-tint');
+
+function speedMapLabel() {
+    const { mode } = getSpeedMapSettings();
+    if (mode === 'off') return 'green speed: uniform';
+    const here = stimpM * speedScaleAt(ball.pos[0], ball.pos[2]);
+    return `green speed: ${mode}, ${here.toFixed(2)} m at ball`;
+}
+
+function refreshSpeedPanel() {
+    const sp = getSpeedMapSettings();
+    speedModeSel.value = sp.mode;
+    slSpeedVar.value = Math.round(sp.variation * 100);
+    document.getElementById('val-sp-var').textContent = Math.round(sp.variation * 100);
+    speedTintBox.checked = showSpeedTint;
+}
+
+document.getElementById('speed-section').addEventListener('input', (e) => {
+    if (e.target === speedTintBox) {
+        showSpeedTint = speedTintBox.checked;
+        greenMaterial.uniforms.uSpeedTint.value = showSpeedTint ? 1 : 0;
+        return;
+    }
+    if (gameState) { refreshSpeedPanel(); return; }
+    setSpeedMapSettings({ mode: speedModeSel.value, variation: parseFloat(slSpeedVar.value) / 100 });
+    refreshSpeedPanel();
+    updateGreenMeshSpeeds();
+});
+// Hints, trails and aim points were worked out at the old speeds
+document.getElementById('speed-section').addEventListener('change', (e) => {
+    if (e.target !== speedTintBox && !gameState) terrainChanged();
+});
+refreshSpeedPanel();
+
+// ---- Surface marks ----
+const slMarkBall = document.getElementById('sl-mk-ball');
+const slMarkSpike = document.getElementById('sl-mk-spike');
+const markAerationBox = document.getElementById('mk-aer');
+const slMarkSpacing = document.getElementById('sl-mk-spacing');
+const slMarkDepth = document.getElementById('sl-mk-depth');
+const markPlaceSel = document.getElementById('mk-place');
+
+function refreshMarksPanel() {
+    const mk = getSurfaceMarkSettings();
+    slMarkBall.value = mk.ballMarks;
+    document.getElementById('val-mk-ball').textContent = mk.ballMarks;
+    slMarkSpike.value = mk.spikePaths;
+    document.getElementById('val-mk-spike').textContent = mk.spikePaths;
+    markAerationBox.checked = mk.aeration;
+    slMarkSpacing.value = Math.round(mk.aerationSpacing * 100);
+    document.getElementById('val-mk-spacing').textContent = Math.round(mk.aerationSpacing * 100);
+    slMarkDepth.value = Math.round(mk.aerationDepth * 1000);
+    document.getElementById('val-mk-depth').textContent = Math.round(mk.aerationDepth * 1000);
+    markPlaceSel.value = markPlaceType || '';
+}
+
+function surfaceMarksLabel() {
+    const mk = getSurfaceMarkSettings();
+    const marks = getSurfaceMarks();
+    const parts = [];
+    const ballMarks = marks.filter(m => m.type === 'ballMark').length;
+    const spikeMarks = marks.length - ballMarks;
+    if (ballMarks) parts.push(`${ballMarks} ball`);
+    if (spikeMarks) parts.push(`${spikeMarks} spike`);
+    if (mk.aeration) parts.push(`aerated ${Math.round(mk.aerationSpacing * 100)} cm`);
+    return `marks: ${parts.length ? parts.join(', ') : 'none'}`;
+}
+
+// Sliders only show their value while dragging; the marks are scattered on release
+document.getElementById('marks-section').addEventListener('input', (e) => {
+    if (e.target === markPlaceSel) return;
+    document.getElementById('val-mk-ball').textContent = slMarkBall.value;
+    document.getElementById('val-mk-spike').textContent = slMarkSpike.value;
+    document.getElementById('val-mk-spacing').textContent = slMarkSpacing.value;
+    document.getElementById('val-mk-depth').textContent = slMarkDepth.value;
+});
+document.getElementById('marks-section').addEventListener('change', (e) => {
+    if (e.target === markPlaceSel) {
+        setMarkPlaceType(markPlaceSel.value);
+        return;
+    }
+    if (gameState) { refreshMarksPanel(); return; }
+    setSurfaceMarkSettings({
+        ballMarks: parseInt(slMarkBall.value, 10),
+        spikePaths: parseInt(slMarkSpike.value, 10),
+        aeration: markAerationBox.checked,
+        aerationSpacing: parseFloat(slMarkSpacing.value) / 100,
+        aerationDepth: parseFloat(slMarkDepth.value) / 1000,
+    });
+    refreshMarksPanel();
+    terrainChanged();
+});
+document.getElementById('mk-clear').addEventListener('click', () => {
+    if (gameState || getPlacedSurfaceMarks().length === 0) return;
+    setPlacedSurfaceMarks([]);
+    terrainChanged();
+});
+refreshMarksPanel();
+
+// ---- Cup capture curve ----
+// Fastest speed the cup holds against entry offset, for a ball rolling in from the
+// current ball position on the current green. Worked out on demand: it is a few
+// hundred short putts.
+const CUP_PLOT_OFFSETS = 25;  // offsets sampled across the cup, rim to rim
+const cupPlotCanvas = document.getElementById('cup-plot');
+const cupStatusEl = document.getElementById('cup-status');
+
+function plotCaptureCurve() {
+    const green = currentGreen();
+    const dirX = holePos.x - ball.pos[0], dirZ = holePos.z - ball.pos[2];
+    const points = [];
+    for (let i = 0; i < CUP_PLOT_OFFSETS; i++) {
+        const offset = HOLE_RADIUS_M * (2 * i / (CUP_PLOT_OFFSETS - 1) - 1);
+        points.push([offset, maxCaptureSpeed(green, offset, { dirX, dirZ })]);
     }
+
+    const ctx = cupPlotCanvas.getContext('2d');
+    const w = cupPlotCanvas.width, h = cupPlotCanvas.height;
+    const left = 26, right = 6, top = 6, bottom = 18;
+    const vMax = Math.max(1, Math.ceil(Math.max(...points.map(p => p[1])) * 2) / 2);
+    const px = offset => left + (offset / HOLE_RADIUS_M + 1) / 2 * (w - left - right);
+    const py = v => h - bottom - v / vMax * (h - top - bottom);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = '10px "Courier New", monospace';
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+    ctx.fillStyle = '#ebebeb';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let v = 0; v <= vMax + 1e-9; v += 0.5) {
+        ctx.beginPath();
+        ctx.moveTo(left, py(v));
+        ctx.lineTo(w - right, py(v));
+        ctx.stroke();
+        if (v % 1 === 0) ctx.fillText(`${v}`, left - 4, py(v));
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const rimCm = HOLE_RADIUS_M * 100;
+    for (const cm of [-rimCm, 0, rimCm]) ctx.fillText(`${Number(cm.toFixed(1))}`, px(cm / 100), h - bottom + 4);
+
+    ctx.strokeStyle = '#ffe033';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach(([offset, v], i) => (i ? ctx.lineTo(px(offset), py(v)) : ctx.moveTo(px(offset), py(v))));
+    ctx.stroke();
+
+    const center = points[(CUP_PLOT_OFFSETS - 1) / 2][1];
+    cupStatusEl.textContent = `m/s vs. offset (cm, + = right). Center ${center.toFixed(2)} m/s ` +
+        `at stimp ${stimpM.toFixed(1)} m, slope ${angleDeg.toFixed(1)}°`;
+}
+
+document.getElementById('cup-plot-btn').addEventListener('click', plotCaptureCurve);
+
+// ---- Make odds ----
+const oddsStatusEl = document.getElementById('odds-status');
+const slOddsDir = document.getElementById('sl-odds-dir');
+const slOddsSpeed = document.getElementById('sl-odds-speed');
+const slOddsTrials = document.getElementById('sl-odds-trials');
+
+function refreshOddsPanel() {
+    slOddsDir.value = oddsDirSigma;
+    slOddsSpeed.value = Math.round(oddsSpeedSigma * 100);
+    slOddsTrials.value = oddsTrials;
+    document.getElementById('val-odds-dir').textContent = oddsDirSigma.toFixed(1);
+    document.getElementById('val-odds-speed').textContent = Math.round(oddsSpeedSigma * 100);
+    document.getElementById('val-odds-trials').textContent = oddsTrials;
+}
+
+document.getElementById('odds-section').addEventListener('input', () => {
+    oddsDirSigma = parseFloat(slOddsDir.value);
+    oddsSpeedSigma = parseFloat(slOddsSpeed.value) / 100;
+    oddsTrials = parseInt(slOddsTrials.value, 10);
+    refreshOddsPanel();
+});
+oddsRunBtn.addEventListener('click', () => (oddsJob ? clearMakeOdds() : startMakeOdds()));
+document.getElementById('odds-clear').addEventListener('click', clearMakeOdds);
+refreshOddsPanel();
+
+// ---- Good aim zone ----
+autoAimBtn.addEventListener('click', () => (autoAimJob ? stopAutoAim() : startAutoAim()));
+document.getElementById('zone-clear').addEventListener('click', () => {
+    clearAimPointMarkers();
+    autoAimStatusEl.textContent = 'Aim points that hole from the ball';
+});
+
+// ---- Hint pace ----
+const hintPaceSel = document.getElementById('hint-pace');
+hintPaceSel.innerHTML = [
+    '<option value="auto">Auto (15 cm past, firmer if it lips out)</option>',
+    ...HINT_PACES.map((p, i) => `<option value="${i}">${p.name}</option>`),
+    '<option value="all">Compare all three</option>',
+].join('');
+hintPaceSel.value = hintChoice;
+hintPaceSel.addEventListener('change', () => { hintChoice = hintPaceSel.value; });
+hintRunBtn.addEventListener('click', () => {
+    if (hintProgress !== null) clearHint(); else if (!ballMoving) showHint();
+});
+document.getElementById('hint-clear').addEventListener('click', clearHint);
+
+// ---- Break chart ----
+chartBtn.addEventListener('click', () => {
+    if (chartJob) {
+        clearBreakChart();
+        chartStatusEl.textContent = 'Stopped';
+    } else {
+        startBreakChart();
+    }
+});
+document.getElementById('chart-clear').addEventListener('click', () => {
+    clearBreakChart();
+    chartStatusEl.textContent = 'Clock drill round the hole: aim and speed';
+});
+document.getElementById('chart-copy').addEventListener('click', (e) => {
+    if (!chartResult) return;
+    const btn = e.currentTarget;
+    const done = (text) => {
+        btn.textContent = text;
+        setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
+    };
+    navigator.clipboard.writeText(breakChartText()).then(() => done('Copied!'), () => done('Copy failed'));
+});
+
+// ---- Fall line ----
+document.getElementById('fall-show').addEventListener('change', (e) => {
+    showFallLine = e.target.checked;
+    if (showFallLine) rebuildFallLine(); else hideFallLine();
+    updateFallStatus();
+});
+
+// ---- Make % map ----
+const mapBtn = document.getElementById('map-run');
+const mapStatusEl = document.getElementById('map-status');
+const mapSkillSel = document.getElementById('map-skill');
+mapSkillSel.innerHTML = SKILL_LEVELS.map((s, i) =>
+    `<option value="${i}">${s.name} (±${s.dirSigmaDeg}°, ±${Math.round(s.speedSigma * 100)}%)</option>`).join('');
+mapSkillSel.value = mapSkill;
+mapSkillSel.addEventListener('change', () => { mapSkill = parseInt(mapSkillSel.value, 10); });
+mapBtn.addEventListener('click', () => (mapJob ? stopMakeMap() : startMakeMap()));
+document.getElementById('map-clear').addEventListener('click', () => {
+    clearMakeMap();
+    mapBtn.textContent = 'Map green';
+    mapStatusEl.textContent = 'Best make % from every spot on the green';
+});
+
+// ---- Flagstick in / out ----
+const flagstickBox = document.getElementById('cup-flag');
+const flagBtn = document.getElementById('flag-btn');
+
+function setFlagstick(on) {
+    flagstickIn = on;
+    flagstickGroup.visible = on;
+    flagstickBox.checked = on;
+    flagBtn.textContent = on ? 'Flagstick: in' : 'Flagstick: out';
+    if (!gameState) clearHint(); // solved with the other setting (a game hint stays: it was paid for)
+}
+
+flagstickBox.addEventListener('change', () => {
+    if (gameState || ballMoving) { flagstickBox.checked = flagstickIn; return; }
+    setFlagstick(flagstickBox.checked);
+});
+// Game mode: chosen per hole, before the putt
+flagBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (gameState === 'putting') setFlagstick(!flagstickIn);
+});
+
+// ---- Generator settings (grid resolution, undulation, noise octaves) ----
+const slGenGrid = document.getElementById('sl-gen-grid');
+const slGenUndulation = document.getElementById('sl-gen-und');
+const slGenOctaves = document.getElementById('sl-gen-oct');
+const genOctaveEls = [...document.querySelectorAll('.gen-octave')];
+
+function refreshGeneratorPanel() {
+    const gen = getGeneratorSettings();
+    slGenGrid.value = gen.gridSize;
+    document.getElementById('val-gen-grid').textContent = gen.gridSize;
+    slGenUndulation.value = gen.undulation;
+    document.getElementById('val-gen-und').textContent = gen.undulation.toFixed(1);
+    slGenOctaves.value = gen.octaveCount;
+    document.getElementById('val-gen-oct').textContent = gen.octaveCount;
+    genOctaveEls.forEach((el, i) => {
+        const o = gen.octaves[i];
+        el.style.display = i < gen.octaveCount ? '' : 'none';
+        el.querySelector('.gen-amp').value = o.amplitude * 1000;
+        el.querySelector('.val-gen-amp').textContent = (o.amplitude * 1000).toFixed(1);
+        el.querySelector('.gen-wl').value = o.wavelength;
+        el.querySelector('.val-gen-wl').textContent = o.wavelength.toFixed(2);
+    });
+}
+
+function generatorFromPanel() {
+    return {
+        gridSize: parseInt(slGenGrid.value, 10),
+        undulation: parseFloat(slGenUndulation.value),
+        octaveCount: parseInt(slGenOctaves.value, 10),
+        octaves: genOctaveEls.map(el => ({
+            amplitude: parseFloat(el.querySelector('.gen-amp').value) / 1000,
+            wavelength: parseFloat(el.querySelector('.gen-wl').value),
+        })),
+    };
+}
+
+// Labels follow the sliders while dragging; the green is regenerated on release
+document.getElementById('gen-section').addEventListener('input', () => {
+    setGeneratorSettings(generatorFromPanel());
+    refreshGeneratorPanel();
+});
+document.getElementById('gen-section').addEventListener('change', () => {
+    if (gameState || ballMoving) return;
+    setGeneratorSettings(generatorFromPanel());
+    resetBall(true, greenSeed, featuresEdited ? getFeatures() : undefined);
+});
+refreshGeneratorPanel();
+
+// ---- Structured features (tiers, ridges, swales, false fronts, crowns) ----
+const FEATURE_LABELS = { tier: 'Tier', ridge: 'Ridge', swale: 'Swale', falseFront: 'False front', crown: 'Crown' };
+const FEATURE_SLIDERS = [
+    { key: 'x',      id: 'ft-x',      decimals: 1, scale: 1 },
+    { key: 'z',      id: 'ft-z',      decimals: 1, scale: 1 },
+    { key: 'angle',  id: 'ft-angle',  decimals: 0, scale: 1 },
+    { key: 'height', id: 'ft-height', decimals: 1, scale: 100 }, // shown in cm
+    { key: 'width',  id: 'ft-width',  decimals: 1, scale: 1 },
+];
+const ftPick = document.getElementById('ft-pick');
+const ftType = document.getElementById('ft-type');
+const ftEdit = document.getElementById('ft-edit');
+let featureIndex = 0;
+
+function refreshFeaturePanel() {
+    const features = getFeatures();
+    featureIndex = Math.min(featureIndex, Math.max(0, features.length - 1));
+    ftPick.innerHTML = '';
+    features.forEach((f, i) => ftPick.add(new Option(`${i + 1}: ${FEATURE_LABELS[f.type]}`, i)));
+    ftPick.value = featureIndex;
+    ftEdit.style.display = features.length ? '' : 'none';
+    const f = features[featureIndex];
+    if (!f) return;
+    ftType.value = f.type;
+    for (const sl of FEATURE_SLIDERS) {
+        const v = f[sl.key] * sl.scale;
+        document.getElementById(`sl-${sl.id}`).value = v;
+        document.getElementById(`val-${sl.id}`).textContent = v.toFixed(sl.decimals);
+    }
+}
+
+// Rebake the height grid from the seed with an edited feature list.
+// live: only move the mesh (while a slider is dragged); otherwise rebuild everything.
+function applyFeatures(features, live = false) {
+    if (gameState || ballMoving) return;
+    terrainSource = null; // imported or sculpted heights are replaced by seed + features
+    featuresEdited = true;
+    buildTrueRollGrids(greenSeed, features);
+    if (live) updateGreenMeshHeights();
+    else terrainChanged();
+    refreshFeaturePanel();
+}
+
+ftPick.addEventListener('change', () => {
+    featureIndex = parseInt(ftPick.value, 10);
+    refreshFeaturePanel();
+});
+ftType.addEventListener('change', () => {
+    const features = getFeatures();
+    features[featureIndex].type = ftType.value;
+    applyFeatures(features);
 });
+for (const sl of FEATURE_SLIDERS) {
+    const el = document.getElementById(`sl-${sl.id}`);
+    const update = (live) => {
+        const features = getFeatures();
+        if (!features[featureIndex]) return;
+        features[featureIndex][sl.key] = parseFloat(el.value) / sl.scale;
+        applyFeatures(features, live);
+    };
+    el.addEventListener('input', () => update(true));
+    el.addEventListener('change', () => update(false));
+}
+document.getElementById('ft-add').addEventListener('click', () => {
+    const features = getFeatures();
+    features.push({ type: 'ridge', x: 0, z: 0, angle: 0, height: 0.03, width: 1.0 });
+    featureIndex = features.length - 1;
+    applyFeatures(features);
+});
+document.getElementById('ft-del').addEventListener('click', () => {
+    const features = getFeatures();
+    if (!features.length) return;
+    features.splice(featureIndex, 1);
+    applyFeatures(features);
+});
+refreshFeaturePanel();
 
 // ---- OrbitControls safety guard for slider interaction ----
 let _sliderActive = false;
@@ -1833,33 +3851,7 @@ renderer.domElement.addEventListener('touchend', (e) => {
     const dist = Math.hypot(t.clientX - _touchStartPos.x, t.clientY - _touchStartPos.y);
     const elapsed = performance.now() - _touchStartTime;
     _touchStartPos = null;
-    if (dist < TAP_MAX_MOVE && elapsed < TAP_MAX_TIME && !ballMoving && inHole) {
-        resetBall(false);
-        return;
-    }
-    if (dist < TAP_MAX_MOVE && elapsed < TAP_MAX_TIME && !ballMoving && !inHole) {
-        // Short tap — set aimpoint via raycast
-        const ndc = new THREE.Vector2(
-            (t.clientX / window.innerWidth) * 2 - 1,
-            -(t.clientY / window.innerHeight) * 2 + 1
-        );
-        _raycaster.setFromCamera(ndc, camera);
-        _invMatrix.copy(worldGroup.matrixWorld).invert();
-        const origin = _raycaster.ray.origin.clone().applyMatrix4(_invMatrix);
-        const dir = _raycaster.ray.direction.clone().transformDirection(_invMatrix);
-        if (Math.abs(dir.y) > 1e-10) {
-            const tt = -origin.y / dir.y;
-            if (tt > 0) {
-                const ax = origin.x + tt * dir.x;
-                const az = origin.z + tt * dir.z;
-                aimWorld.set(ax, getTerrainHeight(ax, az), az);
-                aimLocked = true;
-                aimDot.material.color.setHex(0xe61a1a); // red — new active aimpoint
-                clearHint();
-                showAimPopup(t.clientX, t.clientY);
-            }
-        }
-    }
+    if (dist < TAP_MAX_MOVE && elapsed < TAP_MAX_TIME) handleGreenTap(t.clientX, t.clientY);
 }, { passive: true });
 
 // ===================================================================
@@ -1881,17 +3873,21 @@ function updateScorecard() {
         const isFuture = i > gameHoleIndex || (i === gameHoleIndex && (gameState === 'putting' || gameState === 'moving' || gameState === 'setup'));
         const cls = isCurrent ? ' current' : (isFuture ? ' future' : '');
         const pts = i < gameHoleScores.length ? gameHoleScores[i] : '-';
-        html += `<div class="sc-hole${cls}"><span class="sc-num">${i + 1}</span><span class="sc-pts">${pts}</span></div>`;
+        const flag = gameHoleFlagsticks[i] ? '\u2691' : '';
+        html += `<div class="sc-hole${cls}"><span class="sc-num">${i + 1}${flag}</span><span class="sc-pts">${pts}</span></div>`;
     }
     html += `<div class="sc-total"><span class="sc-num">TOT</span><span class="sc-pts">${gameScore}</span></div>`;
     scorecardEl.innerHTML = html;
 }
 
 function startGame() {
+    setSculptMode(false);
     gameState = 'setup';
     gameHoleIndex = 0;
     gameScore = 0;
     gameHoleScores = [];
+    gameHoleFlagsticks = [];
+    setFlagstick(false);
     // Hide free-play UI (keep stats visible)
     helpEl.style.display = 'none';
     sliderPanel.classList.add('collapsed');
@@ -1904,6 +3900,7 @@ function startGame() {
     hintBtn.style.display = 'block';
     hintBtn.classList.remove('used');
     flowBtn.style.display = 'block';
+    flagBtn.style.display = 'block';
     updateScorecard();
     setupHole(0);
 }
@@ -1912,22 +3909,31 @@ function setupHole(index) {
     const hole = GAME_HOLES[index];
     // Set parameters
     angleDeg = hole.slope;
+    slopeAzimuthDeg = 0;
+    setGrainSettings({ mode: 'off' });
+    refreshGrainPanel();
+    setSpeedMapSettings({ mode: 'off' });
+    refreshSpeedPanel();
+    setSurfaceMarkSettings({ ballMarks: 0, spikePaths: 0, aeration: false });
+    setPlacedSurfaceMarks([]);
+    setMarkPlaceType(null);
+    refreshMarksPanel();
     stimpM = hole.stimp;
     setTrueRollStrength(hole.trueRoll);
     ballCircleRadius = hole.distance;
     launchAngleDeg = 0; // pure roll in game mode
-
-    // Rebuild terrain with specific seed
+    strikeSpin = STRIKE_SPIN_DEFAULT;
+
+    // Rebuild terrain with specific seed and the default generator
+    // (game holes are cut in the middle of the green)
+    setGeneratorSettings(defaultGeneratorSettings());
+    refreshGeneratorPanel();
+    holePos = { x: 0, z: 0 };
+    setPinMode(false);
     clearAllTrails();
     shotAimPoints = [];
     clearAimPointMarkers();
-    generateShapeSeeds();
-    buildTrueRollGrids(hole.seed);
-    worldGroup.remove(greenMesh);
-    greenMesh.geometry.dispose();
-    greenMesh = buildGreenMesh();
-    worldGroup.add(greenMesh);
-    rebuildSlopeIndicator();
+    rebuildGreen(hole.seed);
 
     // Random ball angle
     ballAngle = Math.random() * Math.PI * 2;
@@ -1935,11 +3941,11 @@ function setupHole(index) {
     updateBallOnCircle();
     ballMoving = false;
     ballOnCircle = true;
-    ballAirborne = false;
+    ball.airborne = false;
     inHole = false;
 
     // Save start position for later
-    gameStartPos = { x: ballPos[0], z: ballPos[2] };
+    gameStartPos = { x: ball.pos[0], z: ball.pos[2] };
 
     // Hide all visual aids
     flowMode = 0;
@@ -1958,6 +3964,8 @@ function setupHole(index) {
     clearHint();
     hintUsedThisHole = false;
     hintBtn.classList.remove('used');
+    // The flagstick choice carries over; it can be changed until the putt
+    flagBtn.disabled = false;
 
     // Update game HUD
     gameHoleEl.textContent = `Hole ${index + 1}/9`;
@@ -1965,7 +3973,7 @@ function setupHole(index) {
 }
 
 function scoreShot(oob) {
-    const distToHole = Math.hypot(ballPos[0], ballPos[2]);
+    const distToHole = distToHolePos(ball.pos[0], ball.pos[2]);
     const ballDiam = 2 * BALL_RADIUS_M;
     let pts = 0;
     let label = '';
@@ -1992,6 +4000,7 @@ function scoreShot(oob) {
 
     gameScore += pts;
     gameHoleScores.push(pts);
+    gameHoleFlagsticks.push(flagstickIn);
     updateScorecard();
 
     // Show score popup
@@ -2021,6 +4030,7 @@ function endGame() {
     gameExitLiveEl.style.display = 'none';
     hintBtn.style.display = 'none';
     flowBtn.style.display = 'none';
+    flagBtn.style.display = 'none';
     clearHint();
 
     let grade;
@@ -2042,6 +4052,7 @@ function exitGame() {
     gameExitLiveEl.style.display = 'none';
     hintBtn.style.display = 'none';
     flowBtn.style.display = 'none';
+    flagBtn.style.display = 'none';
     clearHint();
     scorePopupEl.classList.remove('show');
     // Restore free-play UI
@@ -2051,10 +4062,22 @@ function exitGame() {
     document.getElementById('action-btns').style.display = '';
     // Reset to defaults
     angleDeg = 0;
+    slopeAzimuthDeg = 0;
+    setGrainSettings({ mode: 'off' });
+    refreshGrainPanel();
+    setSpeedMapSettings({ mode: 'off' });
+    refreshSpeedPanel();
+    setSurfaceMarkSettings({ ballMarks: 0, spikePaths: 0, aeration: false });
+    setPlacedSurfaceMarks([]);
+    setMarkPlaceType(null);
+    refreshMarksPanel();
     stimpM = STIMP_DEFAULT;
     setTrueRollStrength(1.0);
     ballCircleRadius = BALL_CIRCLE_RADIUS_DEFAULT;
     launchAngleDeg = LAUNCH_ANGLE_DEFAULT;
+    strikeSpin = STRIKE_SPIN_DEFAULT;
+    setFlagstick(false);
+    holePos = { x: 0, z: 0 };
     resetBall(true);
     resetCamera();
 }
@@ -2067,45 +4090,48 @@ gameExitLiveEl.addEventListener('click', () => exitGame());
 // ===================================================================
 // ACTIONS
 // ===================================================================
-function shoot() {
-    const dirX = aimWorld.x - ballPos[0];
-    const dirZ = aimWorld.z - ballPos[2];
+// With a stroke, the aim point only sets the line: speed comes from the backswing and
+// the start direction turns off the line by the stroke's face and path errors
+function shoot(stroke = null) {
+    let dirX = aimWorld.x - ball.pos[0];
+    let dirZ = aimWorld.z - ball.pos[2];
     const len = Math.hypot(dirX, dirZ);
     if (len < 1e-6) return;
+    if (stroke) {
+        const t = stroke.startDeg * Math.PI / 180;
+        const c = Math.cos(t), s = Math.sin(t);
+        [dirX, dirZ] = [dirX * c - dirZ * s, dirZ * c + dirX * s]; // positive = right of the line
+    }
 
     // Mark aimDot yellow — previous shot aimpoint
     aimDot.material.color.setHex(0xf0d259);
     clearHint();
+    stopAutoAim();
 
-    lastShotStartPos = { x: ballPos[0], z: ballPos[2] };
-
-    const speedH = STIMP_V0 * Math.sqrt(len / stimpM);
-    const dxn = dirX / len, dzn = dirZ / len;
-    const launchRad = launchAngleDeg * Math.PI / 180;
-    const totalSpeed = speedH / Math.cos(launchRad);
+    lastShotStartPos = { x: ball.pos[0], z: ball.pos[2] };
 
-    ballVel[0] = speedH * dxn;
-    ballVel[1] = totalSpeed * Math.sin(launchRad);
-    ballVel[2] = speedH * dzn;
+    // Launch fast enough that, skid included, the ball would stop at the aim point on flat ground
+    const spin = strikeSpinRatio();
+    const speed = stroke ? stroke.speed : strikeSpeed(len, stimpM, spin);
+    strikeBall(ball, dirX, dirZ, speed, launchAngleDeg, spin);
+    placeRollStartMarker();
 
     ballMoving = true;
     ballOnCircle = false;
-    ballAirborne = launchAngleDeg !== 0;
+    renderPrevPos = ball.pos.slice();
     inHole = false;
-    bounceCount = 0;
-    maxHeight = ballPos[1];
-    ballSpin = launchAngleDeg / 15.0;
     travelDist = 0.0;
 
     // Game mode: transition to 'moving'
     if (gameState === 'putting') {
         gameState = 'moving';
         gameCrossedHole = false;
+        flagBtn.disabled = true;
     }
 
     // Ensure first trail point
     if (!currentTrailLine || currentTrailLine.count === 0) {
-        addTrailPoint(ballPos[0], ballPos[1], ballPos[2]);
+        addTrailPoint(ball.pos[0], ball.pos[1], ball.pos[2]);
     }
 
     shotAimPoints.push(aimWorld.clone());
@@ -2114,296 +4140,441 @@ function shoot() {
     breakPoints = [];
     breakLocked = false;
     prevVz = null;
-    prevPosForVz = [ballPos[0], ballPos[2]];
+    prevPosForVz = [ball.pos[0], ball.pos[2]];
     rebuildBreakMarkers();
 }
 
-function resetBall(newTerrain) {
+function resetBall(newTerrain, seed = null, features = undefined) {
+    if (newTerrain) {
+        clearAllTrails();
+        shotAimPoints = [];
+        clearAimPointMarkers();
+        rebuildGreen(seed != null ? seed : randomGreenSeed(), features);
+    } else {
+        startNewTrailSegment();
+    }
+
     ballAngle = lastCircleAngle;
-    const bx = ballCircleRadius * Math.cos(ballAngle);
-    const bz = ballCircleRadius * Math.sin(ballAngle);
+    const bx = holePos.x + ballCircleRadius * Math.cos(ballAngle);
+    const bz = holePos.z + ballCircleRadius * Math.sin(ballAngle);
     const by = getTerrainHeight(bx, bz) + BALL_RADIUS_M;
-    ballPos = [bx, by, bz];
-    ballVel = [0, 0, 0];
+    ball.pos = [bx, by, bz];
+    ball.vel = [0, 0, 0];
     ballMoving = false;
     ballOnCircle = true;
-    ballAirborne = false;
+    ball.airborne = false;
     aimLocked = false;
     aimDot.material.color.setHex(0xe61a1a); // red — no aimpoint chosen yet
     inHole = false;
-    bounceCount = 0;
-    maxHeight = 0.0;
+    ball.bounces = 0;
+    ball.maxHeight = 0.0;
     breakPoints = [];
     breakLocked = false;
     prevVz = null;
-    ballSpin = 0.0;
+    ball.roll = [0, 0];
+    ball.skidDistance = 0;
+    ball.rollStart = null;
+    placeRollStartMarker();
     travelDist = 0.0;
     ballMesh.quaternion.identity();
     clearGhostMarker();
-
-    if (newTerrain) {
-        clearAllTrails();
-        shotAimPoints = [];
-        clearAimPointMarkers();
-        generateShapeSeeds();
-        buildTrueRollGrids(null);
-        worldGroup.remove(greenMesh);
-        greenMesh.geometry.dispose();
-        greenMesh = buildGreenMesh();
-        worldGroup.add(greenMesh);
-        if (flowMode === 3) buildGradientArrows();
-        if (flowMode === 1) rebuildFlowVisuals();
-        if (flowMode === 2) rebuildGridFlow();
-        rebuildSlopeIndicator();
-    } else {
-        startNewTrailSegment();
-    }
+    clearMakeOdds();
     rebuildBreakMarkers();
 }
 
-function updateBallOnCircle() {
-    const bx = ballCircleRadius * Math.cos(ballAngle);
-    const bz = ballCircleRadius * Math.sin(ballAngle);
-    const by = getTerrainHeight(bx, bz) + BALL_RADIUS_M;
-    ballPos = [bx, by, bz];
+// Regenerate shape and terrain from a green seed and rebuild everything drawn on it
+// (features: explicit feature list instead of the seed's own)
+function rebuildGreen(seed, features = undefined) {
+    greenSeed = seed;
+    terrainSource = null;
+    featuresEdited = features !== undefined;
+    generateShapeSeeds(seed);
+    buildTrueRollGrids(seed, features);
+    // A pin left near (or past) the new edge goes back to the middle of the green
+    if (greenSignedDistance(holePos.x, holePos.z) > -PIN_EDGE_MARGIN) holePos = { x: 0, z: 0 };
+    rebuildGreenMesh();
+    refreshFeaturePanel();
 }
 
-// ===================================================================
-// PHYSICS
-// ===================================================================
-function updatePhysics(dt) {
-    if (!ballMoving) return;
+// Rebuild the green mesh (terrain + hole cutout) and the overlays drawn on it
+function rebuildGreenMesh() {
+    worldGroup.remove(greenMesh);
+    greenMesh.geometry.dispose();
+    greenMesh.material.dispose();
+    greenMesh = buildGreenMesh();
+    worldGroup.add(greenMesh);
+    flowStreamlines = [];
+    gridFlowParticles = [];
+    if (flowMode === 3) buildGradientArrows();
+    if (flowMode === 1) rebuildFlowVisuals();
+    if (flowMode === 2) rebuildGridFlow();
+    rebuildSlopeIndicator();
+    placeHoleGroup();
+    clearGreenCharts();
+    if (showFallLine) rebuildFallLine();
+    rebuildSurfaceMarks();
+}
+
+// The make % map and break chart were solved on the old green: drop them
+function clearGreenCharts() {
+    if (mapJob || mapResult) {
+        clearMakeMap();
+        mapBtn.textContent = 'Map green';
+        mapStatusEl.textContent = 'Green changed: map again';
+    }
+    if (chartJob || chartResult) {
+        clearBreakChart();
+        chartStatusEl.textContent = 'Green changed: chart again';
+    }
+}
 
-    const angleRad = angleDeg * Math.PI / 180;
-    const muRoll = stimpToMu(stimpM);
-    const holeDepth = 0.40;
+// Slope, speed and true roll aren't part of the mesh, so the sliders and keys that
+// change them don't rebuild it. Checked every frame instead: lines solved for the
+// old settings no longer hold, so they come off.
+let solvedGreenKey = JSON.stringify(greenSettings(false));
+
+function clearSolvedIfGreenChanged() {
+    const key = JSON.stringify(greenSettings(false));
+    if (key === solvedGreenKey) return;
+    solvedGreenKey = key;
+    if (!gameState) clearHint(); // a game hint stays: it was paid for
+    clearGreenCharts();
+}
 
-    // Check if over the hole
-    const distToHoleCur = Math.hypot(ballPos[0], ballPos[2]);
-    const overHole = distToHoleCur <= HOLE_RADIUS_M + BALL_RADIUS_M * 0.5;
+/**
+ * Move the cup. Returns false (and leaves it) when the spot is off the green
+ * or too close to the edge. The ball goes back on its spawn circle around the new pin.
+ */
+function setHolePosition(x, z) {
+    if (greenSignedDistance(x, z) > -PIN_EDGE_MARGIN) return false;
+    holePos = { x, z };
+    clearHint();
+    clearAllTrails();
+    shotAimPoints = [];
+    clearAimPointMarkers();
+    lastShotStartPos = null;
+    rebuildGreenMesh();
+    resetBall(false);
+    return true;
+}
 
-    let groundLevel;
-    if (overHole) {
-        const sxz = Math.hypot(ballVel[0], ballVel[2]);
-        const below = ballPos[1] < BALL_RADIUS_M * 0.5;
-        groundLevel = (sxz < 1.45 || below) ? -holeDepth : getTerrainHeight(ballPos[0], ballPos[2]);
-    } else {
-        groundLevel = getTerrainHeight(ballPos[0], ballPos[2]);
+function setPinMode(on) {
+    pinMode = on;
+    pinBtn.classList.toggle('active', on);
+    if (on && sculptMode) setSculptMode(false);
+    if (on && markPlaceType) {
+        markPlaceType = null;
+        refreshMarksPanel();
     }
+}
 
-    const heightAbove = ballPos[1] - BALL_RADIUS_M - groundLevel;
-    ballAirborne = heightAbove > LANDING_THRESHOLD;
-
-    let ax = 0, ay = -GRAVITY, az = 0;
+function updateBallOnCircle() {
+    const bx = holePos.x + ballCircleRadius * Math.cos(ballAngle);
+    const bz = holePos.z + ballCircleRadius * Math.sin(ballAngle);
+    const by = getTerrainHeight(bx, bz) + BALL_RADIUS_M;
+    ball.pos = [bx, by, bz];
+    clearMakeOdds();
+    stopAutoAim();
+}
 
-    if (!ballAirborne) {
-        const speed = Math.hypot(ballVel[0], ballVel[2]);
+// ===================================================================
+// STROKE INPUT (pull back and release instead of picking the distance)
+// ===================================================================
+// The aim point sets the line; a backswing on the stroke pad (mouse or touch), or a
+// held SPACE and a second SPACE press timing the way through, sets the speed. The
+// pad reads "down" as back from the ball, so a pull that drifts or bows sideways
+// turns into path and face errors.
+const strokePad = document.getElementById('stroke-pad');
+const inputModeSel = document.getElementById('input-mode');
+let inputMode = 'aim';   // 'aim' (aim point sets speed) | 'stroke'
+let strokeDrag = null;   // backswing in progress: { pointerId ('key' for SPACE), origin, tStart, trail, top, frozen }
+let lastStroke = null;   // { lengthCm, tempo, speed, faceDeg, pathDeg, startDeg }
+let strokeCalledOff = false; // the last key stroke timed out: the pad says so until the next one
+
+function canStrike() {
+    return !ballMoving && !inHole && (!gameState || gameState === 'putting');
+}
 
-        // Global slope
-        az += GRAVITY * Math.sin(angleRad) * ROLLING_FACTOR;
+// Backswing trail ([sideways cm, back cm] from the address position, up to the top)
+// and its duration -> ball speed and face / path errors (degrees, positive = right)
+function strokeFromTrail(trail, tempo) {
+    const [latTop, pullTop] = trail[trail.length - 1];
+    const chord = Math.hypot(latTop, pullTop);
+    const lengthCm = Math.min(pullTop, STROKE_MAX_CM);
+    tempo = Math.min(STROKE_TEMPO_MAX, Math.max(STROKE_TEMPO_MIN, tempo));
+
+    // Pendulum: the through-swing takes half the backswing time, so head speed at
+    // impact is pi * length / backswing time
+    const speed = STROKE_SMASH * Math.PI * (lengthCm / 100) / STROKE_TEMPO_REF *
+        (STROKE_TEMPO_REF / tempo) ** STROKE_TEMPO_WEIGHT;
+
+    // Path: pulling back to the right swings through to the left
+    const pathDeg = -Math.atan2(latTop, pullTop) * 180 / Math.PI;
+
+    // Face: the bow of the pull off its chord is an arc that turns by about
+    // 8 * sagitta / chord; part of that turn is still on the face at impact.
+    // Bowing out to the right leaves it open.
+    let sagitta = 0;
+    if (chord > 1e-6) {
+        for (const [lat, pull] of trail) {
+            const off = (lat * pullTop - pull * latTop) / chord;
+            if (Math.abs(off) > Math.abs(sagitta)) sagitta = off;
+        }
+    }
+    const faceDeg = chord > 1e-6 ? STROKE_FACE_GAIN * (8 * sagitta / chord) * 180 / Math.PI : 0;
+    const startDeg = STROKE_FACE_SHARE * faceDeg + (1 - STROKE_FACE_SHARE) * pathDeg;
+    return { lengthCm, tempo, speed, faceDeg, pathDeg, startDeg };
+}
 
-        if (speed > 1e-4) {
-            const normal = getTerrainNormal(ballPos[0], ballPos[2]);
-            let friction = muRoll * GRAVITY * Math.abs(normal.y);
+function setInputMode(mode) {
+    if (strokeDrag) strokeDrag = null;
+    inputMode = mode === 'stroke' ? 'stroke' : 'aim';
+    inputModeSel.value = inputMode;
+    strokePad.style.display = inputMode === 'stroke' ? 'block' : 'none';
+    shootBtn.style.display = inputMode === 'stroke' ? 'none' : '';
+    drawStrokePad();
+}
 
-            // Spin effect
-            let spinMod = 1.0 + ballSpin * SPIN_EFFECT_STRENGTH;
-            spinMod = Math.max(0.5, Math.min(1.5, spinMod));
+function beginStroke(pointerId, origin) {
+    const now = performance.now();
+    strokeCalledOff = false;
+    strokeDrag = {
+        pointerId, origin, tStart: null, frozen: false,
+        trail: [[0, 0]], top: { pull: 0, time: now, index: 0 },
+        key: { lat: 0, pull: 0, topAt: null },
+    };
+    drawStrokePad();
+}
 
-            ax -= friction * spinMod * (ballVel[0] / speed);
-            az -= friction * spinMod * (ballVel[2] / speed);
+function moveStroke(lat, pull) {
+    const d = strokeDrag;
+    const now = performance.now();
+    pull = Math.min(pull, STROKE_MAX_CM);
+    if (d.tStart === null) {
+        if (pull < STROKE_START_CM) return;
+        d.tStart = now;
+    }
+    // Only the backswing counts: once clearly coming back down, wait for the release
+    if (d.frozen) return;
+    if (pull >= d.top.pull) {
+        d.trail.push([lat, pull]);
+        d.top = { pull, time: now, index: d.trail.length - 1 };
+        drawStrokePad();
+    } else if (d.top.pull >= STROKE_MIN_CM && pull < d.top.pull - STROKE_START_CM) {
+        d.frozen = true;
+    }
+}
 
-            // Local terrain slope
-            ax += -normal.x * GRAVITY * ROLLING_FACTOR;
-            az += -normal.z * GRAVITY * ROLLING_FACTOR;
-        }
+function currentStroke() {
+    const d = strokeDrag;
+    if (!d || d.top.pull < STROKE_MIN_CM) return null;
+    // A key stroke is timed on the way through: the pendulum's forward swing takes half
+    // the backswing time, so the wait from the top to the second SPACE press sets the tempo
+    const tempo = d.key.topAt !== null
+        ? 2 * (performance.now() - d.key.topAt) / 1000
+        : (d.top.time - d.tStart) / 1000;
+    return strokeFromTrail(d.trail.slice(0, d.top.index + 1), tempo);
+}
 
-        // Spin decay
-        ballSpin *= Math.exp(-SPIN_DECAY_RATE * dt);
-        if (Math.abs(ballSpin) < 0.01) ballSpin = 0;
-
-        // True roll
-        const tr = trueRollAccel(ballPos[0], ballPos[2], ballVel[0], ballVel[2]);
-        ax += tr.ax;
-        az += tr.az;
-
-        // Lip gravity — radial force toward hole center when ball is on the lip
-        {
-            const lipOuter = HOLE_RADIUS_M * 2.3;  // influence zone ~2.3× hole radius
-            const dh = Math.hypot(ballPos[0], ballPos[2]);
-            if (dh > 0.001 && dh < lipOuter) {
-                // Force ramps up as ball approaches hole edge, peaks at rim
-                const t = 1.0 - dh / lipOuter;  // 0 at outer edge, ~1 at center
-                const lipForce = GRAVITY * 2.5 * t * t;  // quadratic ramp
-                ax += -ballPos[0] / dh * lipForce;
-                az += -ballPos[2] / dh * lipForce;
-            }
-        }
+function releaseStroke() {
+    const stroke = currentStroke();
+    strokeDrag = null;
+    if (stroke && canStrike()) {
+        lastStroke = stroke;
+        shoot(stroke);
+    }
+    drawStrokePad();
+}
 
-        ay = 0;
-        ballVel[1] = 0;
+function drawStrokePad() {
+    const ctx = strokePad.getContext('2d');
+    const w = strokePad.width, h = strokePad.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = '11px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ebebeb';
+
+    const stroke = currentStroke() || (strokeDrag || strokeCalledOff ? null : lastStroke);
+    if (strokeCalledOff) {
+        ctx.fillText('CALLED', w / 2, 18);
+        ctx.fillText('OFF', w / 2, 32);
+    } else if (!strokeDrag) {
+        ctx.fillText('PULL', w / 2, 18);
+        ctx.fillText('BACK', w / 2, 32);
     } else {
-        // Airborne — full gravity + global slope on Z
-        az += GRAVITY * Math.sin(angleRad);
+        // Trail, drawn from where the pull began (pad coordinates scaled to fit)
+        const ox = w / 2, oy = 12;
+        const scale = Math.min(STROKE_PX_PER_CM, (h - 52) / STROKE_MAX_CM);
+        ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+        ctx.beginPath();
+        ctx.moveTo(ox, oy);
+        ctx.lineTo(ox, oy + STROKE_MAX_CM * scale);
+        ctx.stroke();
+        ctx.strokeStyle = '#ffe033';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        strokeDrag.trail.forEach(([lat, pull], i) => {
+            const x = ox + lat * scale, y = oy + pull * scale;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
     }
+    if (stroke) {
+        ctx.fillText(`${stroke.lengthCm.toFixed(0)} cm`, w / 2, h - 24);
+        ctx.fillText(`${stroke.speed.toFixed(2)} m/s`, w / 2, h - 10);
+    }
+}
 
-    // Integrate velocity
-    ballVel[0] += ax * dt;
-    ballVel[1] += ay * dt;
-    ballVel[2] += az * dt;
-
-    let newX = ballPos[0] + ballVel[0] * dt;
-    let newY = ballPos[1] + ballVel[1] * dt;
-    let newZ = ballPos[2] + ballVel[2] * dt;
+function strokeLabel() {
+    const s = lastStroke;
+    const sign = v => (v > 0 ? '+' : '') + v.toFixed(1);
+    return `stroke: ${s.lengthCm.toFixed(1)} cm in ${s.tempo.toFixed(2)} s, ` +
+        `face ${sign(s.faceDeg)} path ${sign(s.pathDeg)} deg`;
+}
 
-    if (newY > maxHeight) maxHeight = newY;
+strokePad.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    if (strokeDrag || !canStrike()) return;
+    strokePad.setPointerCapture(e.pointerId);
+    beginStroke(e.pointerId, { x: e.clientX, y: e.clientY });
+});
+strokePad.addEventListener('pointermove', (e) => {
+    if (!strokeDrag || strokeDrag.pointerId !== e.pointerId) return;
+    const { origin } = strokeDrag;
+    moveStroke((e.clientX - origin.x) / STROKE_PX_PER_CM, (e.clientY - origin.y) / STROKE_PX_PER_CM);
+});
+strokePad.addEventListener('pointerup', (e) => {
+    if (strokeDrag && strokeDrag.pointerId === e.pointerId) releaseStroke();
+});
+strokePad.addEventListener('pointercancel', (e) => {
+    if (!strokeDrag || strokeDrag.pointerId !== e.pointerId) return;
+    strokeDrag = null;
+    drawStrokePad();
+});
 
-    // Floor check
-    const dhn = Math.hypot(newX, newZ);
-    let minBallY;
-    if (dhn <= HOLE_RADIUS_M + BALL_RADIUS_M * 0.5) {
-        const sxzf = Math.hypot(ballVel[0], ballVel[2]);
-        const belowf = ballPos[1] < BALL_RADIUS_M * 0.5;
-        minBallY = (sxzf < 1.45 || belowf) ? -holeDepth + BALL_RADIUS_M : getTerrainHeight(newX, newZ) + BALL_RADIUS_M;
-    } else {
-        minBallY = getTerrainHeight(newX, newZ) + BALL_RADIUS_M;
+// Keyboard: hold SPACE to take the putter back (LEFT/RIGHT drift it sideways) and let go
+// at the top, then press SPACE again to strike: the quicker the second press, the firmer
+function advanceKeyStroke(dt) {
+    if (!strokeDrag || strokeDrag.pointerId !== 'key') return;
+    const key = strokeDrag.key;
+    if (key.topAt !== null) {
+        if (performance.now() - key.topAt > STROKE_KEY_WAIT * 1000) {
+            // No second press: drop the backswing and say why it went
+            strokeDrag = null;
+            strokeCalledOff = true;
+        }
+        drawStrokePad();
+        return;
     }
+    key.lat += ((keysHeld['ArrowRight'] ? 1 : 0) - (keysHeld['ArrowLeft'] ? 1 : 0)) * STROKE_KEY_DRIFT * dt;
+    key.pull += STROKE_KEY_RATE * dt;
+    moveStroke(key.lat, key.pull);
+}
 
-    if (newY < minBallY) {
-        if (ballAirborne && Math.abs(ballVel[1]) > MIN_BOUNCE_VEL) {
-            bounceCount++;
-            ballVel[1] = -ballVel[1] * BOUNCE_DAMPING;
-            ballVel[0] *= BOUNCE_FRICTION;
-            ballVel[2] *= BOUNCE_FRICTION;
-            newY = minBallY;
-        } else {
-            newY = minBallY;
-            ballVel[1] = 0;
-            ballAirborne = false;
-        }
+window.addEventListener('keyup', (e) => {
+    if (e.key !== ' ' || !strokeDrag || strokeDrag.pointerId !== 'key' || strokeDrag.key.topAt !== null) return;
+    if (strokeDrag.top.pull < STROKE_MIN_CM) {
+        strokeDrag = null;
+        drawStrokePad();
+        return;
     }
+    strokeDrag.key.topAt = performance.now();
+    strokeDrag.frozen = true;
+});
+
+inputModeSel.addEventListener('change', () => setInputMode(inputModeSel.value));
+setInputMode('aim');
+
+// ===================================================================
+// PHYSICS
+// ===================================================================
+function updatePhysics(dt) {
+    if (!ballMoving) return;
 
-    const distMoved = Math.hypot(newX - ballPos[0], newZ - ballPos[2]);
+    const step = stepBall(currentGreen(), ball, dt);
+    const distMoved = step.moved;
     travelDist += distMoved;
 
-    // Ball rotation (quaternion)
-    if (distMoved > 1e-6) {
-        const mx = newX - ballPos[0], mz = newZ - ballPos[2];
-        const axisVec = new THREE.Vector3(-mz / distMoved, 0, mx / distMoved);
-        const rotAngle = -distMoved / BALL_RADIUS_M;
+    if (ball.rollStart !== rollStartMarker.userData.point) placeRollStartMarker();
+
+    // Ball rotation (quaternion) follows its spin, which lags the motion while it skids
+    const spun = Math.hypot(ball.roll[0], ball.roll[1]) * dt;
+    if (spun > 1e-6) {
+        const axisVec = new THREE.Vector3(-ball.roll[1], 0, ball.roll[0]).normalize();
+        const rotAngle = -spun / BALL_RADIUS_M;
         const dq = new THREE.Quaternion().setFromAxisAngle(axisVec, rotAngle);
         ballMesh.quaternion.premultiply(dq);
         ballMesh.quaternion.normalize();
     }
 
-    // Tunneling detection
-    const oldX = ballPos[0], oldZ = ballPos[2];
-    const segDx = newX - oldX, segDz = newZ - oldZ;
-    const segLenSq = segDx * segDx + segDz * segDz;
-    let closestDist;
-    if (segLenSq > 1e-12) {
-        const tc = Math.max(0, Math.min(1, -(oldX * segDx + oldZ * segDz) / segLenSq));
-        closestDist = Math.hypot(oldX + tc * segDx, oldZ + tc * segDz);
-    } else {
-        closestDist = Math.hypot(newX, newZ);
-    }
-
-    // Commit new position
-    ballPos[0] = newX;
-    ballPos[1] = newY;
-    ballPos[2] = newZ;
-
     // Game mode: out of bounds check (6m from hole)
-    const distToHole = Math.hypot(ballPos[0], ballPos[2]);
+    const distToHole = distToHolePos(ball.pos[0], ball.pos[2]);
     if (gameState === 'moving' && distToHole > GAME_OOB_DIST) {
         ballMoving = false;
-        ballVel = [0, 0, 0];
+        ball.vel = [0, 0, 0];
+        ball.roll = [0, 0];
         scoreShot(true);
         return;
     }
 
-    // Hole capture check
-    const holeBottom = -holeDepth + BALL_RADIUS_M;
-    const speedXz = Math.hypot(ballVel[0], ballVel[2]);
-    const crossedHole = closestDist <= HOLE_RADIUS_M && !ballAirborne;
-    const ballDroppedIn = (distToHole <= HOLE_RADIUS_M + BALL_RADIUS_M) && ballPos[1] < BALL_RADIUS_M * 0.5;
-
     // Track ball crossing hole for game lip-out detection
-    if (gameState === 'moving' && (crossedHole || distToHole <= HOLE_RADIUS_M)) {
+    if (gameState === 'moving' && step.crossedHole) {
         gameCrossedHole = true;
     }
 
-    if (ballDroppedIn || distToHole <= HOLE_RADIUS_M || crossedHole) {
-        if (ballDroppedIn || (!ballAirborne && speedXz < 1.45)) {
-            // Captured — save state for ghost simulation before zeroing
-            const ghostPos = [ballPos[0], ballPos[1], ballPos[2]];
-            const ghostVel = [ballVel[0], ballVel[1], ballVel[2]];
-            const ghostSpin = ballSpin;
-
-            ballMoving = false;
-            ballVel = [0, 0, 0];
-            if (crossedHole && distToHole > HOLE_RADIUS_M) {
-                ballPos[0] = 0; ballPos[2] = 0;
-            }
-            ballPos[1] = holeBottom;
-            inHole = true;
-
-            // Ghost rest position (where ball would stop without hole)
-            const rest = simulateGhostRest(ghostPos, ghostVel, ghostSpin);
-            placeGhostCross(rest.x, rest.z);
-
-            // Valid only if ghost would have stopped within 40cm of hole
-            const ghostDist = Math.hypot(rest.x, rest.z);
-            const validHoleIn = ghostDist <= MAX_GHOST_DIST;
-            if (validHoleIn) {
-                aimDot.material.color.setHex(0x1a7ae6); // blue — valid hole-in
-                colorLastAimPoint(true);
-            } else {
-                aimDot.material.color.setHex(0xf0d259); // yellow — ball went in but too fast
-                colorLastAimPoint(false);
-            }
-
-            // Game mode scoring on hole-in (only if valid)
-            if (gameState === 'moving') scoreShot(!validHoleIn);
-        } else if (distToHole <= HOLE_RADIUS_M) {
-            // Lip-out
-            ballVel[0] *= 0.92;
-            ballVel[2] *= 0.92;
+    if (step.captured) {
+        ballMoving = false;
+        inHole = true;
+
+        // Ghost rest position (where ball would stop without hole)
+        const entry = step.entry;
+        const rest = simulateGhostRest(entry.pos, entry.vel, entry.roll);
+        placeGhostCross(rest.x, rest.z);
+
+        // Valid only if ghost would have stopped within 40cm of hole
+        const ghostDist = distToHolePos(rest.x, rest.z);
+        const validHoleIn = ghostDist <= MAX_GHOST_DIST;
+        if (validHoleIn) {
+            aimDot.material.color.setHex(0x1a7ae6); // blue — valid hole-in
+            colorLastAimPoint(true);
+        } else {
+            aimDot.material.color.setHex(0xf0d259); // yellow — ball went in but too fast
+            colorLastAimPoint(false);
         }
-    } else if (speedXz < 0.02 && !ballAirborne) {
+
+        // Game mode scoring on hole-in (only if valid)
+        if (gameState === 'moving') scoreShot(!validHoleIn);
+    } else if (step.stopped) {
         ballMoving = false;
-        ballVel = [0, 0, 0];
         colorLastAimPoint(false);
         // Game mode scoring on miss/near
         if (gameState === 'moving') scoreShot(false);
-    } else {
+    } else if (!step.atHole) {
         // Don't trace trail inside the hole
-        const dTrail = Math.hypot(ballPos[0], ballPos[2]);
-        if (dTrail > HOLE_RADIUS_M) {
-            addTrailPoint(ballPos[0], ballPos[1], ballPos[2]);
-        }
+        addTrailPoint(ball.pos[0], ball.pos[1], ball.pos[2]);
     }
 
     // Break point detection (vz sign change)
-    if (ballMoving && !breakLocked && !inHole && !ballAirborne) {
-        const vz = ballVel[2];
+    if (ballMoving && !breakLocked && !inHole && !ball.airborne) {
+        const vz = ball.vel[2];
         if (prevVz !== null) {
             if ((prevVz < 0 && vz >= 0) || (prevVz > 0 && vz <= 0)) {
                 const denom = prevVz - vz;
                 const t = Math.abs(denom) > 1e-6 ? prevVz / denom : 0;
-                const bpx = prevPosForVz[0] + (ballPos[0] - prevPosForVz[0]) * t;
-                const bpz = prevPosForVz[1] + (ballPos[2] - prevPosForVz[1]) * t;
-                breakPoints.push([[bpx, bpz], [-vz, ballVel[0]]]);
+                const bpx = prevPosForVz[0] + (ball.pos[0] - prevPosForVz[0]) * t;
+                const bpz = prevPosForVz[1] + (ball.pos[2] - prevPosForVz[1]) * t;
+                breakPoints.push([[bpx, bpz], [-vz, ball.vel[0]]]);
                 breakLocked = true;
                 rebuildBreakMarkers();
             } else if (Math.abs(vz) <= 0.01) {
-                breakPoints.push([[ballPos[0], ballPos[2]], [-vz, ballVel[0]]]);
+                breakPoints.push([[ball.pos[0], ball.pos[2]], [-vz, ball.vel[0]]]);
                 breakLocked = true;
                 rebuildBreakMarkers();
             }
         }
         prevVz = vz;
-        prevPosForVz = [ballPos[0], ballPos[2]];
+        prevPosForVz = [ball.pos[0], ball.pos[2]];
     }
 }
 
@@ -2413,25 +4584,34 @@ function updatePhysics(dt) {
 const _raycaster = new THREE.Raycaster();
 const _invMatrix = new THREE.Matrix4();
 
-function updateAim() {
-    // When aimLocked, the aimpoint is fixed — don't follow the mouse
-    if (aimLocked) return;
-
-    _raycaster.setFromCamera(mouseNDC, camera);
+// Intersect the camera ray through an NDC point with the green plane; returns {x, z} or null
+function raycastGround(ndc) {
+    _raycaster.setFromCamera(ndc, camera);
 
     // Transform ray into worldGroup local coords
     _invMatrix.copy(worldGroup.matrixWorld).invert();
     const origin = _raycaster.ray.origin.clone().applyMatrix4(_invMatrix);
     const dir = _raycaster.ray.direction.clone().transformDirection(_invMatrix);
 
-    if (Math.abs(dir.y) > 1e-10) {
-        const t = -origin.y / dir.y;
-        if (t > 0) {
-            const ax = origin.x + t * dir.x;
-            const az = origin.z + t * dir.z;
-            aimWorld.set(ax, getTerrainHeight(ax, az), az);
-        }
-    }
+    if (Math.abs(dir.y) <= 1e-10) return null;
+    const t = -origin.y / dir.y;
+    if (t <= 0) return null;
+    return { x: origin.x + t * dir.x, z: origin.z + t * dir.z };
+}
+
+function pickGroundPoint(clientX, clientY) {
+    return raycastGround(new THREE.Vector2(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1
+    ));
+}
+
+function updateAim() {
+    // When aimLocked, the aimpoint is fixed — don't follow the mouse
+    if (aimLocked) return;
+
+    const pt = raycastGround(mouseNDC);
+    if (pt) aimWorld.set(pt.x, getTerrainHeight(pt.x, pt.z), pt.z);
 }
 
 // ===================================================================
@@ -2446,17 +4626,19 @@ window.addEventListener('resize', () => {
 // ===================================================================
 // RENDER LOOP
 // ===================================================================
-ballMesh.position.set(ballPos[0], ballPos[1], ballPos[2]);
+ballMesh.position.set(ball.pos[0], ball.pos[1], ball.pos[2]);
 
 let lastTime = performance.now();
+const physicsStepper = createFixedStepper();
+let renderPrevPos = ball.pos.slice(); // ball position at the start of the last physics tick
 
 function animate() {
     requestAnimationFrame(animate);
 
     const now = performance.now();
-    let dt = (now - lastTime) / 1000;
+    const frameDt = (now - lastTime) / 1000;
     lastTime = now;
-    dt = Math.min(dt, 1 / 30); // Clamp to avoid huge steps after tab switch
+    const dt = Math.min(frameDt, 1 / 30); // visual-only updates; physics uses fixed ticks
 
     // ---- Held keys ----
     if (!gameState) {
@@ -2466,7 +4648,8 @@ function animate() {
         if (keysHeld['w'] || keysHeld['W']) setTrueRollStrength(Math.min(4, getTrueRollStrength() + 0.1));
     }
 
-    if (!ballMoving && ballOnCircle) {
+    advanceKeyStroke(dt);
+    if (!ballMoving && ballOnCircle && !strokeDrag) {
         if (keysHeld['ArrowLeft']) {
             ballAngle += 0.035;
             lastCircleAngle = ballAngle;
@@ -2481,45 +4664,74 @@ function animate() {
         }
     }
 
-    // ---- Physics ----
-    updatePhysics(dt);
+    // ---- Physics (fixed timestep, accumulated across frames) ----
+    const alpha = physicsStepper.advance(frameDt, updatePhysics, () => {
+        renderPrevPos = ball.pos.slice();
+    });
+
+    // ---- Sculpting ----
+    if (sculptMode) {
+        if (sculptStroke) applySculpt(dt);
+        const pt = raycastGround(sculptNDC);
+        sculptRing.visible = !!pt;
+        if (pt) placeSculptRing(pt);
+    }
+
+    clearSolvedIfGreenChanged();
+    advanceMakeOdds();
+    advanceMakeMap();
+    advanceAutoAim();
+    advanceFallLine(now);
 
     // ---- Aim ----
     updateAim();
 
     // ---- Overlay updates ----
     if (flowMode === 1) {
-        if (Math.abs(angleDeg - flowLastAngle) > 0.3 || Math.abs(stimpM - flowLastStimp) > 0.2) {
+        if (Math.abs(angleDeg - flowLastAngle) > 0.3 || Math.abs(stimpM - flowLastStimp) > 0.2 ||
+            azimuthDelta(slopeAzimuthDeg, flowLastAzimuth) > 2) {
             rebuildFlowVisuals();
         }
         updateFlowParticles(dt);
     }
     if (flowMode === 2) {
-        if (Math.abs(angleDeg - gridFlowLastAngle) > 0.3 || Math.abs(stimpM - gridFlowLastStimp) > 0.2) {
+        if (Math.abs(angleDeg - gridFlowLastAngle) > 0.3 || Math.abs(stimpM - gridFlowLastStimp) > 0.2 ||
+            azimuthDelta(slopeAzimuthDeg, gridFlowLastAzimuth) > 2) {
             rebuildGridFlow();
         }
         updateGridFlowParticles(dt);
     }
-    if (flowMode === 3 && Math.abs(angleDeg - gradientLastAngle) > 0.3) {
+    if (flowMode === 3 && (Math.abs(angleDeg - gradientLastAngle) > 0.3 ||
+        azimuthDelta(slopeAzimuthDeg, gradientLastAzimuth) > 2)) {
         buildGradientArrows();
         gradientLastAngle = angleDeg;
+        gradientLastAzimuth = slopeAzimuthDeg;
     }
-    if (Math.abs(angleDeg - (slopeIndicatorGroup._lastAngle || 0)) > 0.05) {
+    if (Math.abs(angleDeg - (slopeIndicatorGroup._lastAngle || 0)) > 0.05 ||
+        azimuthDelta(slopeAzimuthDeg, slopeIndicatorGroup._lastAzimuth || 0) > 0.5) {
         rebuildSlopeIndicator();
         slopeIndicatorGroup._lastAngle = angleDeg;
+        slopeIndicatorGroup._lastAzimuth = slopeAzimuthDeg;
     }
 
-    // ---- World slope rotation ----
-    worldGroup.rotation.x = angleDeg * Math.PI / 180;
+    // ---- World slope rotation (tilt about the horizontal axis across the fall direction) ----
+    {
+        const d = slopeDirection(slopeAzimuthDeg);
+        slopeAxis.set(d.z, 0, -d.x);
+        worldGroup.quaternion.setFromAxisAngle(slopeAxis, angleDeg * Math.PI / 180);
+    }
 
-    // ---- Ball mesh ----
-    ballMesh.position.set(ballPos[0], ballPos[1], ballPos[2]);
+    // ---- Ball mesh (interpolated between the last two physics ticks) ----
+    const rx = ballMoving ? renderPrevPos[0] + (ball.pos[0] - renderPrevPos[0]) * alpha : ball.pos[0];
+    const ry = ballMoving ? renderPrevPos[1] + (ball.pos[1] - renderPrevPos[1]) * alpha : ball.pos[1];
+    const rz = ballMoving ? renderPrevPos[2] + (ball.pos[2] - renderPrevPos[2]) * alpha : ball.pos[2];
+    ballMesh.position.set(rx, ry, rz);
 
     // ---- Ball shadow ----
     {
-        const groundY = getTerrainHeight(ballPos[0], ballPos[2]);
-        ballShadow.position.set(ballPos[0], groundY + 0.002, ballPos[2]);
-        const heightAbove = Math.max(0, ballPos[1] - BALL_RADIUS_M - groundY);
+        const groundY = getTerrainHeight(rx, rz);
+        ballShadow.position.set(rx, groundY + 0.002, rz);
+        const heightAbove = Math.max(0, ry - BALL_RADIUS_M - groundY);
         const scale = 1.0 + heightAbove * 2.0;
         ballShadow.scale.setScalar(scale);
         shadowMat.opacity = Math.max(0.08, 0.35 - heightAbove * 0.5);
@@ -2533,7 +4745,7 @@ function animate() {
     if (!ballMoving) {
         aimLine.visible = true;
         const p = aimLine.geometry.attributes.position.array;
-        p[0] = ballPos[0]; p[1] = ballPos[1]; p[2] = ballPos[2];
+        p[0] = ball.pos[0]; p[1] = ball.pos[1]; p[2] = ball.pos[2];
         p[3] = aimWorld.x;  p[4] = aimWorld.y + 0.005; p[5] = aimWorld.z;
         aimLine.geometry.attributes.position.needsUpdate = true;
     } else {
@@ -2542,6 +4754,7 @@ function animate() {
 
     // ---- HUD ----
     updateHUD();
+    syncScenarioUrl(now);
 
     // ---- Update green shader uniforms ----
     if (greenMaterial) {
@@ -2552,7 +4765,11 @@ function animate() {
     // ---- Render ----
     controls.update();
     renderer.render(scene, camera);
+    updateChartLabels();
 }
 
+// Open the scenario named in the link, if any
+if (location.hash.length > 1) applyScenario(decodeScenario(location.hash));
+
 animate();
 console.log('Putting Simulator - Phase 3 loaded');
@@ -0,0 +1,210 @@
+// Make odds — Monte Carlo over the player's start-direction and speed errors.
+// Headless like physics.js: every trial is an ordinary simulatePutt on the green passed in.
+
+import {
+    createBall, strikeBall, stepBall, simulatePutt, strikeSpeed, distToHole, getPhysicsDt,
+    SIM_MAX_STEPS,
+} from './physics.js';
+import { mulberry32 } from './terrain.js';
+
+export const ODDS_TRIALS_DEFAULT = 300;
+export const ODDS_DIR_SIGMA_DEFAULT = 1.0;    // start direction error, 1 sigma (deg)
+export const ODDS_SPEED_SIGMA_DEFAULT = 0.06; // speed error, 1 sigma (fraction of the intended speed)
+export const ODDS_SEED = 0x0DD5;
+
+// Start direction and speed error (1 sigma) of players of different standard
+export const SKILL_LEVELS = [
+    { name: 'Tour', dirSigmaDeg: 0.75, speedSigma: 0.04 },
+    { name: 'Low handicap', dirSigmaDeg: 1.0, speedSigma: 0.06 },
+    { name: 'Club', dirSigmaDeg: 1.5, speedSigma: 0.09 },
+    { name: 'Beginner', dirSigmaDeg: 2.5, speedSigma: 0.14 },
+];
+
+// Lines tried when looking for a position's best make odds: each rolls through the
+// center of the cup and would finish this far past it (m)
+export const LINE_PACES = [0.2, 0.45, 0.8];
+const LINE_SEARCH_DEG = 25;     // start direction searched either side of straight at the hole
+const LINE_DIR_ITERS = 10;
+const LINE_REFINE_DEG = 3;      // re-search either side once the speed is known
+const LINE_REFINE_ITERS = 6;
+const LINE_SPEED_ITERS = 9;
+const LINE_SPEED_RANGE = [0.2, 2];  // speed searched, as multiples of the flat-green speed
+
+// Share of putts holed from a distance (m) by good players, for the putt that is left
+// after a miss. Rounded from published tour putting statistics.
+export const MAKE_RATE_TABLE = [
+    [0.3, 1.0], [0.6, 0.99], [0.9, 0.96], [1.2, 0.88], [1.5, 0.77], [1.8, 0.66],
+    [2.4, 0.50], [3.0, 0.40], [4.5, 0.23], [6.0, 0.15], [9.0, 0.08], [12.0, 0.05],
+];
+
+/** Share of putts holed from dist meters (MAKE_RATE_TABLE, linear in between). */
+export function makeRate(dist) {
+    const t = MAKE_RATE_TABLE;
+    if (dist <= t[0][0]) return t[0][1];
+    for (let i = 1; i < t.length; i++) {
+        if (dist <= t[i][0]) {
+            const [d0, p0] = t[i - 1], [d1, p1] = t[i];
+            return p0 + (p1 - p0) * (dist - d0) / (d1 - d0);
+        }
+    }
+    return t[t.length - 1][1];
+}
+
+/** Putts to hole out from dist meters, counting a miss as one more putt that drops. */
+export function expectedPuttsFrom(dist) {
+    return 2 - makeRate(dist);
+}
+
+/**
+ * Seeded error draws shared by every putt they are applied to, so two aims or two balls
+ * compared with the same samples differ only by the read, not by the luck of the draw.
+ * Returns [[direction error (rad), speed factor], …].
+ */
+export function makeErrorSamples(trials, dirSigmaDeg, speedSigma, seed = ODDS_SEED) {
+    const rand = mulberry32(seed);
+    const samples = [];
+    for (let i = 0; i < trials; i++) {
+        // Box–Muller: two independent standard normals
+        const r = Math.sqrt(-2 * Math.log(1 - rand()));
+        const t = 2 * Math.PI * rand();
+        samples.push([
+            r * Math.cos(t) * dirSigmaDeg * Math.PI / 180,
+            Math.max(0, 1 + r * Math.sin(t) * speedSigma),
+        ]);
+    }
+    return samples;
+}
+
+// Unit direction (ux, uz) turned by rad, positive = right
+function turn(ux, uz, rad) {
+    const c = Math.cos(rad), s = Math.sin(rad);
+    return [ux * c - uz * s, uz * c + ux * s];
+}
+
+/**
+ * Strike the putt from start ([x, y, z]) toward (dirX, dirZ) at speed once per sample,
+ * each turned (positive = right) and scaled by its errors.
+ * Returns { trials, makes, makeRate, expectedPutts, finishes: [{ x, z, made }, …] }.
+ */
+export function simulateMakeOdds(green, start, dirX, dirZ, speed, samples, {
+    launchDeg = 0, spinRatio = 1, dt = getPhysicsDt(),
+} = {}) {
+    const len = Math.hypot(dirX, dirZ) || 1;
+    const ux = dirX / len, uz = dirZ / len;
+    const finishes = [];
+    let makes = 0;
+    let putts = 0;
+    for (const [dirErr, speedFactor] of samples) {
+        const [dx, dz] = turn(ux, uz, dirErr);
+        const ball = strikeBall(createBall(start.slice()), dx, dz, speed * speedFactor, launchDeg, spinRatio);
+        const result = simulatePutt(green, ball, { dt });
+        if (result.captured) {
+            makes++;
+            putts += 1;
+            finishes.push({ x: green.hole.x, z: green.hole.z, made: true });
+        } else {
+            putts += 1 + expectedPuttsFrom(distToHole(green, result.rest.x, result.rest.z));
+            finishes.push({ x: result.rest.x, z: result.rest.z, made: false });
+        }
+    }
+    const trials = samples.length;
+    return {
+        trials,
+        makes,
+        makeRate: trials ? makes / trials : 0,
+        expectedPutts: trials ? putts / trials : 0,
+        finishes,
+    };
+}
+
+/**
+ * Roll the putt as if there were no cup and report how it passes the hole:
+ * lat = sideways miss at the closest approach (positive = right of the line from
+ * start to hole), past = how far it rolls on beyond that point (negative: stops short).
+ */
+export function passHole(green, start, dirX, dirZ, speed, { launchDeg = 0, spinRatio = 1, dt = getPhysicsDt() } = {}) {
+    const { hole } = green;
+    const open = { ...green, hole: null };
+    const ball = strikeBall(createBall(start.slice()), dirX, dirZ, speed, launchDeg, spinRatio);
+    let best = Infinity, cx = ball.pos[0], cz = ball.pos[2];
+    for (let step = 0; step < SIM_MAX_STEPS; step++) {
+        const r = stepBall(open, ball, dt);
+        const d = Math.hypot(ball.pos[0] - hole.x, ball.pos[2] - hole.z);
+        if (d < best) { best = d; cx = ball.pos[0]; cz = ball.pos[2]; }
+        if (r.stopped || (green.inBounds && !green.inBounds(ball.pos[0], ball.pos[2]))) break;
+    }
+    const hx = hole.x - start[0], hz = hole.z - start[2];
+    const hl = Math.hypot(hx, hz) || 1;
+    const lat = ((cx - hole.x) * -hz + (cz - hole.z) * hx) / hl;
+    const after = Math.hypot(ball.pos[0] - cx, ball.pos[2] - cz);
+    return { lat, past: after > 1e-6 ? after : -best };
+}
+
+/**
+ * Line from start through the center of the cup that, without the cup, would finish
+ * pace meters past it: bisects the start direction on which side it passes the hole,
+ * then the speed on how far it rolls on, then the direction again at that speed
+ * (passes times over: more when the flat-green speed is a poor first guess).
+ * The direction is searched between fromDeg and toDeg off straight at the hole
+ * (positive = right). Returns { dirX, dirZ, speed }.
+ */
+export function lineThroughHole(green, start, pace, {
+    launchDeg = 0, spinRatio = 1, dt = getPhysicsDt(), fromDeg = -LINE_SEARCH_DEG, toDeg = LINE_SEARCH_DEG, passes = 1,
+} = {}) {
+    const opts = { launchDeg, spinRatio, dt };
+    const hx = green.hole.x - start[0], hz = green.hole.z - start[2];
+    const dist = Math.hypot(hx, hz) || 1;
+    const ux = hx / dist, uz = hz / dist;
+
+    const aim = (speed, lo, hi, iters) => {
+        for (let i = 0; i < iters; i++) {
+            const mid = (lo + hi) / 2;
+            const [dx, dz] = turn(ux, uz, mid);
+            if (passHole(green, start, dx, dz, speed, opts).lat > 0) hi = mid; else lo = mid;
+        }
+        return (lo + hi) / 2;
+    };
+    const refine = LINE_REFINE_DEG * Math.PI / 180;
+
+    const flat = strikeSpeed(dist + pace, green.stimp, spinRatio);
+    let speed = flat;
+    let rad = aim(speed, fromDeg * Math.PI / 180, toDeg * Math.PI / 180, LINE_DIR_ITERS);
+    for (let pass = 0; pass < passes; pass++) {
+        let lo = flat * LINE_SPEED_RANGE[0], hi = flat * LINE_SPEED_RANGE[1];
+        for (let i = 0; i < LINE_SPEED_ITERS; i++) {
+            speed = (lo + hi) / 2;
+            const [dx, dz] = turn(ux, uz, rad);
+            if (passHole(green, start, dx, dz, speed, opts).past > pace) hi = speed; else lo = speed;
+        }
+        speed = (lo + hi) / 2;
+        const width = refine * (passes - pass);
+        rad = aim(speed, rad - width, rad + width, LINE_REFINE_ITERS);
+    }
+    const [dirX, dirZ] = turn(ux, uz, rad);
+    return { dirX, dirZ, speed };
+}
+
+/**
+ * Make odds of the line through the cup that would finish pace meters past it,
+ * simulated with the error samples. Returns { makeRate, expectedPutts, line }.
+ */
+export function paceMakeOdds(green, start, pace, samples, { launchDeg = 0, spinRatio = 1, dt = getPhysicsDt() } = {}) {
+    const opts = { launchDeg, spinRatio, dt };
+    const line = lineThroughHole(green, start, pace, opts);
+    const odds = simulateMakeOdds(green, start, line.dirX, line.dirZ, line.speed, samples, opts);
+    return { makeRate: odds.makeRate, expectedPutts: odds.expectedPutts, line };
+}
+
+/** The better of two paceMakeOdds results: holes more, or needs fewer putts on a tie. */
+export function betterOdds(a, b) {
+    if (!a) return b;
+    if (b.makeRate !== a.makeRate) return b.makeRate > a.makeRate ? b : a;
+    return b.expectedPutts < a.expectedPutts ? b : a;
+}
+
+/** Best make odds from start over the LINE_PACES lines (see paceMakeOdds). */
+export function bestMakeOdds(green, start, samples, opts = {}) {
+    let best = null;
+    for (const pace of LINE_PACES) best = betterOdds(best, paceMakeOdds(green, start, pace, samples, opts));
+    return best;
+}
@@ -0,0 +1,554 @@
+// Putt physics — headless integrator shared by the live ball and every simulator.
+// No DOM or Three.js: the green is passed in explicitly, so putts also run in Node.
+
+// ---- Constants ----
+export const BALL_RADIUS_M = 0.0215;
+export const HOLE_RADIUS_M = 2.0 * BALL_RADIUS_M;
+export const STIMP_V0 = 1.83;  // standard stimp meter launch speed (m/s)
+export const GRAVITY = 9.81;
+export const ROLLING_FACTOR = 5.0 / 7.0;
+export const BOUNCE_DAMPING = 0.3;
+export const BOUNCE_FRICTION = 0.8;     // share of the slip a bounce leaves
+export const MIN_BOUNCE_VEL = 0.05;
+export const LANDING_THRESHOLD = 0.001;
+export const SKID_FRICTION = 0.4;        // sliding friction coefficient of a skidding ball at SKID_REF_STIMP
+export const SKID_REF_STIMP = 3.0;       // stimp (m) at which SKID_FRICTION applies; firmer, faster greens grip less
+export const ROLL_SLIP_SPEED = 0.005;    // slip between ball and grass (m/s) below which the ball rolls
+export const GRAIN_SPEED_EFFECT = 0.15;  // friction change rolling straight down (-) or into (+) full-strength grain
+export const GRAIN_CROSS_ACCEL = 0.06;   // sideways push of full-strength cross grain on a slow ball (m/s²)
+export const GRAIN_REF_SPEED = 0.5;      // speed at which the cross-grain push has halved (m/s)
+export const STOP_SPEED = 0.02;          // ball at rest below this speed (m/s)
+export const HOLE_DEPTH = 0.40;          // physics depth of the cup below the rim (m)
+export const CUP_RESTITUTION = 0.4;      // share of the speed into the cup wall or rim edge that bounces back
+export const CUP_FRICTION = 0.2;         // share of the sliding speed lost in a wall or rim impact
+export const FLAGSTICK_RADIUS_M = 0.0095;   // flagstick radius, centered in the cup (m)
+export const FLAGSTICK_RESTITUTION = 0.3;       // share of the speed into the flagstick that bounces back, up to...
+export const FLAGSTICK_SOFT_SPEED = 1.5;        // ...this impact speed (m/s): the pin flexes and soaks it up
+export const FLAGSTICK_RESTITUTION_FIRM = 0.8;  // rising to this at FLAGSTICK_FIRM_SPEED and above
+export const FLAGSTICK_FIRM_SPEED = 2.5;        // (m/s)
+export const CUP_STEP_LENGTH = 0.002;    // longest ball move per integrator step near the cup (m)
+export const CAPTURE_SCAN_STEP = 0.05;   // speed step when searching for the capture limit (m/s)
+export const CAPTURE_SCAN_MAX = 3.0;     // fastest entry speed tried (m/s)
+export const SIM_MAX_STEPS = 20000;
+export const PHYSICS_HZ_DEFAULT = 60;     // fixed ticks per second
+export const SUBSTEPS_DEFAULT = 2;        // integrator steps per tick (1/120 s steps)
+export const SUBSTEPS_MAX = 8;
+export const MAX_FRAME_DT = 0.25;         // real time fed to the accumulator per frame is capped (s)
+
+// ---- Fixed-rate stepping ----
+// Every integrator (live ball and simulators) steps with the same dt, so a putt
+// with the same inputs always ends in exactly the same place.
+let physicsHz = PHYSICS_HZ_DEFAULT;
+let physicsSubsteps = SUBSTEPS_DEFAULT;
+
+export function setPhysicsRate(hz, substeps) {
+    physicsHz = hz;
+    physicsSubsteps = Math.max(1, Math.min(SUBSTEPS_MAX, Math.round(substeps)));
+}
+export function getPhysicsRate() { return { hz: physicsHz, substeps: physicsSubsteps }; }
+export function getPhysicsDt() { return 1 / (physicsHz * physicsSubsteps); }
+
+/**
+ * Accumulator for a fixed-timestep loop.
+ * advance(frameDt, step, onTick) runs step(dt) physicsSubsteps times for every
+ * whole tick of elapsed time (onTick() first, e.g. to save the previous state)
+ * and returns the 0..1 fraction of the next tick, for interpolated rendering.
+ */
+export function createFixedStepper() {
+    let acc = 0;
+    return {
+        advance(frameDt, step, onTick = null) {
+            const tick = 1 / physicsHz;
+            const dt = getPhysicsDt();
+            acc += Math.min(Math.max(frameDt, 0), MAX_FRAME_DT);
+            while (acc >= tick) {
+                if (onTick) onTick();
+                for (let i = 0; i < physicsSubsteps; i++) step(dt);
+                acc -= tick;
+            }
+            return acc / tick;
+        },
+        reset() { acc = 0; },
+    };
+}
+
+export function stimpToMu(s) {
+    return STIMP_V0 * STIMP_V0 / (2.0 * GRAVITY * s);
+}
+
+/** Sliding friction coefficient of a skidding ball on a green of the given stimp. */
+export function skidFriction(s) {
+    return SKID_FRICTION * Math.sqrt(SKID_REF_STIMP / s);
+}
+
+// Rolling speed kept after the skid (fraction of launch speed) and flat-green distance
+// per (rolling speed)², skid and roll included (see strikeSpeed)
+function strikeRange(stimp, spinRatio) {
+    const keep = ROLLING_FACTOR + (1 - ROLLING_FACTOR) * spinRatio;
+    const slide = skidFriction(stimp) * GRAVITY;
+    // Skid distance per (rolling speed)²: slip closes at 7/2 × the sliding deceleration
+    const v0 = 1 / keep;
+    const t = v0 * (1 - spinRatio) / (3.5 * slide);
+    const skid = v0 * t - 0.5 * slide * t * t;
+    const roll = stimp / (STIMP_V0 * STIMP_V0);
+    return { keep, perSpeed2: roll + skid };
+}
+
+/**
+ * Launch speed (m/s) that stops a putt distance meters away on a flat green,
+ * skid included. spinRatio is the strike's spin as a fraction of rolling spin:
+ * 1 = already rolling (no skid), 0 = no spin, negative = backspin.
+ * A skid ends at rolling speed (5/7 + 2/7·spinRatio) × launch speed.
+ */
+export function strikeSpeed(distance, stimp, spinRatio = 1) {
+    const { keep, perSpeed2 } = strikeRange(stimp, spinRatio);
+    return Math.sqrt(Math.max(distance, 0) / perSpeed2) / keep;
+}
+
+/** Flat-green distance (m) a putt launched at speed stops at: the inverse of strikeSpeed. */
+export function strikeDistance(speed, stimp, spinRatio = 1) {
+    const { keep, perSpeed2 } = strikeRange(stimp, spinRatio);
+    return (speed * keep) ** 2 * perSpeed2;
+}
+
+/**
+ * Strike ball toward (dirX, dirZ) at horizontal speed: lofted by launchDeg and
+ * spinning at spinRatio × rolling spin (see strikeSpeed). Resets its skid record.
+ */
+export function strikeBall(ball, dirX, dirZ, speed, launchDeg = 0, spinRatio = 1) {
+    const len = Math.hypot(dirX, dirZ) || 1;
+    const ux = dirX / len, uz = dirZ / len;
+    ball.vel[0] = speed * ux;
+    ball.vel[1] = speed * Math.tan(launchDeg * Math.PI / 180);
+    ball.vel[2] = speed * uz;
+    ball.roll = [ball.vel[0] * spinRatio, ball.vel[2] * spinRatio];
+    ball.airborne = launchDeg !== 0;
+    ball.bounces = 0;
+    ball.maxHeight = ball.pos[1];
+    ball.skidDistance = 0;
+    ball.rollStart = null;
+    ball.cupEntry = null;
+    return ball;
+}
+
+/**
+ * Explicit green state for the integrator.
+ * terrain: { height(x, z), normal(x, z), trueRoll(x, z, vx, vz, strength), grain(x, z) (optional),
+ *   speed(x, z) (optional stimp multiplier) }
+ * slopeDeg / slopeAzimuthDeg: global tilt of the green and the compass direction
+ * it falls toward (0 = +Z, 90 = +X).
+ * hole: { x, z } of the cup, or null to roll as if there were no cup.
+ * flagstick: true when the flagstick is in the cup.
+ * inBounds(x, z): optional; simulations stop once the ball leaves it.
+ */
+export function createGreen({
+    terrain, slopeDeg = 0, slopeAzimuthDeg = 0, stimp, trueRoll = 1.0, hole = { x: 0, z: 0 }, flagstick = false,
+    inBounds = null,
+}) {
+    return { terrain, slopeDeg, slopeAzimuthDeg, stimp, trueRoll, hole, flagstick, inBounds };
+}
+
+/** Unit downhill direction { x, z } on the green for a slope azimuth. */
+export function slopeDirection(azimuthDeg) {
+    const a = azimuthDeg * Math.PI / 180;
+    return { x: Math.sin(a), z: Math.cos(a) };
+}
+
+/**
+ * Gravity in the green's own (tilted) frame: the green is tilted by slopeDeg
+ * so that it falls toward slopeDirection(azimuthDeg).
+ */
+export function tiltedGravity(slopeDeg, azimuthDeg = 0) {
+    const t = slopeDeg * Math.PI / 180;
+    const d = slopeDirection(azimuthDeg);
+    return { x: GRAVITY * Math.sin(t) * d.x, y: -GRAVITY * Math.cos(t), z: GRAVITY * Math.sin(t) * d.z };
+}
+
+/**
+ * Acceleration along the surface with normal n: the part of gravity g tangent to it
+ * (times the rolling factor when rolling), and the normal load |g·n| for friction.
+ */
+export function surfaceGravity(g, n, factor = ROLLING_FACTOR) {
+    const gn = g.x * n.x + g.y * n.y + g.z * n.z;
+    return { ax: (g.x - gn * n.x) * factor, az: (g.z - gn * n.z) * factor, load: Math.abs(gn) };
+}
+
+/**
+ * Ball state. roll is the ground speed { x, z } its spin alone would carry it at
+ * (rolling without slip); it defaults to the velocity, i.e. already rolling. While
+ * roll and vel differ on the ground the ball skids. skidDistance and rollStart
+ * record the skid: meters skidded and where rolling last began. cupEntry is the
+ * state where it crossed the rim while it is in or on the cup.
+ */
+export function createBall(pos, vel = [0, 0, 0], roll = [vel[0], vel[2]]) {
+    return {
+        pos: pos.slice(),
+        vel: vel.slice(),
+        roll: roll.slice(),
+        airborne: false,
+        bounces: 0,
+        maxHeight: pos[1],
+        skidDistance: 0,
+        rollStart: null,
+        cupEntry: null,
+    };
+}
+
+export function distToHole(green, x, z) {
+    return green.hole ? Math.hypot(x - green.hole.x, z - green.hole.z) : Infinity;
+}
+
+/**
+ * Advance the ball by one step of dt seconds.
+ * Mutates ball and returns what happened during the step:
+ * { moved, bounced, atHole, crossedHole, captured, lipOut, stopped, entry }.
+ * atHole: the ball is over the cup opening. crossedHole: it is over the opening on the
+ * ground (a ball flying over the cup doesn't count). lipOut: it left the cup after entering it.
+ * entry holds the ball state where it first crossed the rim (for ghost rests).
+ * Near the cup the step is split so the ball moves at most CUP_STEP_LENGTH at a time:
+ * the rim and wall contacts are only a ball radius wide.
+ */
+export function stepBall(green, ball, dt) {
+    const travel = Math.hypot(ball.vel[0], ball.vel[1], ball.vel[2]) * dt;
+    if (!green.hole || travel <= CUP_STEP_LENGTH ||
+        distToHole(green, ball.pos[0], ball.pos[2]) > HOLE_RADIUS_M + BALL_RADIUS_M + travel) {
+        return stepBallOnce(green, ball, dt);
+    }
+    const n = Math.ceil(travel / CUP_STEP_LENGTH);
+    const total = {
+        moved: 0, bounced: false, atHole: false, crossedHole: false,
+        captured: false, lipOut: false, stopped: false, entry: null,
+    };
+    for (let i = 0; i < n; i++) {
+        const r = stepBallOnce(green, ball, dt / n);
+        total.moved += r.moved;
+        for (const k of ['bounced', 'atHole', 'crossedHole', 'captured', 'lipOut', 'stopped']) total[k] ||= r[k];
+        total.entry = r.entry ?? total.entry;
+        if (r.captured || r.stopped) break;
+    }
+    return total;
+}
+
+// One integrator step. The cup is contact geometry: a rim edge (a circle of
+// HOLE_RADIUS_M at the green's height), a vertical wall below it and a floor.
+function stepBallOnce(green, ball, dt) {
+    const { terrain, hole } = green;
+    const pos = ball.pos, vel = ball.vel;
+    const g = tiltedGravity(green.slopeDeg, green.slopeAzimuthDeg);
+    const R = HOLE_RADIUS_M, r = BALL_RADIUS_M;
+    const rimY = hole ? terrain.height(hole.x, hole.z) : 0;
+    const holeFloor = rimY - HOLE_DEPTH;
+
+    const result = {
+        moved: 0, bounced: false, atHole: false, crossedHole: false,
+        captured: false, lipOut: false, stopped: false, entry: null,
+    };
+
+    // Where a ball at (x, z) with its center at height y rests: center height and
+    // contact normal. Outside the cup that is the green. Over the opening it rests on
+    // the rim edge until its center is a ball radius inside the rim or below the rim;
+    // then only the cup floor holds it.
+    const support = (x, z, y) => {
+        const d = distToHole(green, x, z);
+        if (d >= R) return { y: terrain.height(x, z) + r, normal: terrain.normal(x, z) };
+        if (y >= rimY && d > R - r) {
+            const out = d - R; // negative: the center is inside the rim
+            const up = Math.sqrt(r * r - out * out);
+            return {
+                y: rimY + up,
+                normal: { x: (x - hole.x) / d * out / r, y: up / r, z: (z - hole.z) / d * out / r },
+                rim: true,
+            };
+        }
+        return { y: holeFloor + r, normal: { x: 0, y: 1, z: 0 } };
+    };
+
+    const ground = support(pos[0], pos[2], pos[1]);
+    const heightAbove = pos[1] - ground.y;
+    // Rising (a lofted strike or a bounce) leaves the ground; so does running hard into
+    // the rim edge, which is an impact rather than a roll
+    const n0 = ground.normal;
+    const intoRim = ground.rim ? -(vel[0] * n0.x + vel[1] * n0.y + vel[2] * n0.z) : 0;
+    ball.airborne = heightAbove > LANDING_THRESHOLD || vel[1] > 0 || intoRim > MIN_BOUNCE_VEL;
+
+    let ax = 0, ay = g.y, az = 0;
+    let skidding = false, skidEnds = false;
+
+    if (!ball.airborne) {
+        const speed = Math.hypot(vel[0], vel[2]);
+        const normal = ground.normal;
+        // Local green speed: the set stimp scaled by the speed map
+        const stimp = terrain.speed ? green.stimp * terrain.speed(pos[0], pos[2]) : green.stimp;
+        const slipX = vel[0] - ball.roll[0], slipZ = vel[2] - ball.roll[1];
+        const slip = Math.hypot(slipX, slipZ);
+        skidding = slip > ROLL_SLIP_SPEED;
+
+        // Slope: global tilt and local terrain (or the rim edge) together, gravity projected
+        // onto the surface. A skidding ball slides, so all of it acts; a rolling one takes
+        // the rolling factor.
+        const sg = surfaceGravity(g, normal, skidding ? 1.0 : ROLLING_FACTOR);
+        ax += sg.ax;
+        az += sg.az;
+
+        if (skidding) {
+            // Skid: sliding friction against the slip slows the ball and spins it up (5/2 as
+            // fast, for a solid sphere); the slip closes at 7/2 × that rate, and the step
+            // that closes it ends exactly at rolling
+            const slide = skidFriction(stimp) * sg.load;
+            const f = Math.min(slide, slip / (3.5 * dt));
+            skidEnds = slip - 3.5 * f * dt <= ROLL_SLIP_SPEED;
+            ax -= f * slipX / slip;
+            az -= f * slipZ / slip;
+            ball.roll[0] += 2.5 * f * slipX / slip * dt;
+            ball.roll[1] += 2.5 * f * slipZ / slip * dt;
+        } else if (speed > 1e-4) {
+            const friction = stimpToMu(stimp) * sg.load;
+            const ux = vel[0] / speed, uz = vel[2] / speed;
+
+            // Grain: slower into it, faster down it; across it the grass pushes the ball
+            // sideways, hardest when the ball is slow
+            let grainMod = 1.0;
+            if (terrain.grain) {
+                const gr = terrain.grain(pos[0], pos[2]);
+                const along = gr.x * ux + gr.z * uz;
+                grainMod = 1.0 - GRAIN_SPEED_EFFECT * along;
+                const push = GRAIN_CROSS_ACCEL / (1 + (speed / GRAIN_REF_SPEED) ** 2);
+                ax += (gr.x - along * ux) * push;
+                az += (gr.z - along * uz) * push;
+            }
+
+            ax -= friction * grainMod * ux;
+            az -= friction * grainMod * uz;
+        }
+
+        // True roll
+        const tr = terrain.trueRoll(pos[0], pos[2], vel[0], vel[2], green.trueRoll);
+        ax += tr.ax;
+        az += tr.az;
+
+        ay = 0;
+        vel[1] = 0;
+    } else {
+        // Airborne — full gravity, split between the tilted frame's axes
+        ax += g.x;
+        az += g.z;
+    }
+
+    // Integrate velocity
+    vel[0] += ax * dt;
+    vel[1] += ay * dt;
+    vel[2] += az * dt;
+
+    // A rolling ball's spin follows its velocity
+    if (!ball.airborne && (!skidding || skidEnds)) {
+        ball.roll[0] = vel[0];
+        ball.roll[1] = vel[2];
+    }
+
+    let newX = pos[0] + vel[0] * dt;
+    let newY = pos[1] + vel[1] * dt;
+    let newZ = pos[2] + vel[2] * dt;
+
+    if (newY > ball.maxHeight) ball.maxHeight = newY;
+
+    // Impact with a contact of normal n: lose CUP_FRICTION of the sliding speed and bounce
+    // back `restitution` of the speed into the contact (a soft touch just slides along it)
+    const impact = (n, restitution) => {
+        const vn = vel[0] * n.x + vel[1] * n.y + vel[2] * n.z;
+        if (vn >= 0) return;
+        const tx = vel[0] - vn * n.x, ty = vel[1] - vn * n.y, tz = vel[2] - vn * n.z;
+        const back = -vn > MIN_BOUNCE_VEL ? -vn * restitution : 0;
+        vel[0] = tx * (1 - CUP_FRICTION) + back * n.x;
+        vel[1] = ty * (1 - CUP_FRICTION) + back * n.y;
+        vel[2] = tz * (1 - CUP_FRICTION) + back * n.z;
+        if (back > 0) result.bounced = true;
+    };
+
+    // Cup wall and rim edge. A ball in the air over the opening can hit the wall (center
+    // below the rim) or the rim edge; a rolling ball follows the edge through support().
+    // Only a ball already over the opening can be in the cup: elsewhere the green itself
+    // may lie below the rim.
+    if (hole) {
+        const dx = newX - hole.x, dz = newZ - hole.z;
+        const d = Math.hypot(dx, dz);
+        const ux = d > 1e-9 ? dx / d : 0, uz = d > 1e-9 ? dz / d : 0;
+        const wasOver = distToHole(green, pos[0], pos[2]) < R;
+        let n = null;
+        if (wasOver && newY < rimY && d > R - r) {
+            // Wall: keep the ball a radius inside it
+            newX = hole.x + ux * (R - r);
+            newZ = hole.z + uz * (R - r);
+            n = { x: -ux, y: 0, z: -uz };
+        } else if (ball.airborne && newY >= rimY && d < R) {
+            const out = d - R, up = newY - rimY;
+            const gap = Math.hypot(out, up);
+            if (gap < r) {
+                // Rim edge: push the center back out to a radius from the edge
+                n = { x: ux * out / gap, y: up / gap, z: uz * out / gap };
+                newX = hole.x + ux * R + n.x * r;
+                newZ = hole.z + uz * R + n.z * r;
+                newY = rimY + n.y * r;
+            }
+        }
+        if (n) impact(n, CUP_RESTITUTION);
+    }
+
+    // Flagstick: a cylinder up the middle of the cup, so the ball can't drop past it and
+    // ends up wedged between it and the rim
+    if (hole && green.flagstick) {
+        const dx = newX - hole.x, dz = newZ - hole.z;
+        const d = Math.hypot(dx, dz);
+        const reach = r + FLAGSTICK_RADIUS_M;
+        if (d < reach) {
+            // Dead center: back the way it came
+            const h = Math.hypot(vel[0], vel[2]) || 1;
+            const ux = d > 1e-9 ? dx / d : -vel[0] / h, uz = d > 1e-9 ? dz / d : -vel[2] / h;
+            newX = hole.x + ux * reach;
+            newZ = hole.z + uz * reach;
+            const into = -(vel[0] * ux + vel[2] * uz);
+            impact({ x: ux, y: 0, z: uz }, flagstickRestitution(into));
+        }
+    }
+
+    // Floor check
+    const minBallY = support(newX, newZ, newY).y;
+    if (newY < minBallY) {
+        if (ball.airborne && Math.abs(vel[1]) > MIN_BOUNCE_VEL) {
+            ball.bounces++;
+            result.bounced = true;
+            vel[1] = -vel[1] * BOUNCE_DAMPING;
+            if (vel[1] < MIN_BOUNCE_VEL) vel[1] = 0; // too weak to leave the ground again
+            // Impact friction acts on the slip like a short skid: it takes (1 - BOUNCE_FRICTION)
+            // of the slip off the ball and puts 5/2 of that into its spin
+            const kx = (1 - BOUNCE_FRICTION) * (vel[0] - ball.roll[0]);
+            const kz = (1 - BOUNCE_FRICTION) * (vel[2] - ball.roll[1]);
+            vel[0] -= kx;
+            vel[2] -= kz;
+            ball.roll[0] += 2.5 * kx;
+            ball.roll[1] += 2.5 * kz;
+            newY = minBallY;
+        } else {
+            newY = minBallY;
+            vel[1] = 0;
+            ball.airborne = false;
+        }
+    }
+
+    result.moved = Math.hypot(newX - pos[0], newZ - pos[2]);
+    if (skidding) {
+        ball.skidDistance += result.moved;
+        if (skidEnds) ball.rollStart = { x: newX, z: newZ };
+    }
+
+    // Commit new position
+    pos[0] = newX;
+    pos[1] = newY;
+    pos[2] = newZ;
+
+    const dist = distToHole(green, pos[0], pos[2]);
+    result.atHole = dist < R;
+    result.crossedHole = dist < R && !ball.airborne; // rolled over the opening, not flew over it
+    // Remember where the ball first crossed the rim, until it is clear of the cup again
+    if (dist < R && !ball.cupEntry) {
+        ball.cupEntry = { pos: pos.slice(), vel: vel.slice(), roll: ball.roll.slice() };
+    } else if (dist > R + r && ball.cupEntry) {
+        ball.cupEntry = null;
+        result.lipOut = true;
+    }
+
+    // With the flagstick in, a ball at rest against it with any part below the rim is holed
+    const wedged = green.flagstick && dist < r + FLAGSTICK_RADIUS_M + 1e-3 && pos[1] - r < rimY &&
+        Math.hypot(vel[0], vel[1], vel[2]) < STOP_SPEED;
+    if (hole && ((dist < R && pos[1] + r < rimY) || wedged)) {
+        // Holed: the whole ball is below the rim (or wedged against the flagstick)
+        result.captured = true;
+        result.entry = ball.cupEntry ?? { pos: pos.slice(), vel: vel.slice(), roll: ball.roll.slice() };
+        ball.cupEntry = null;
+        vel[0] = 0; vel[1] = 0; vel[2] = 0;
+        ball.roll[0] = 0; ball.roll[1] = 0;
+        pos[1] = holeFloor + r;
+    } else if (Math.hypot(vel[0], vel[2]) < STOP_SPEED && !ball.airborne && dist >= R && (!skidding || skidEnds)) {
+        vel[0] = 0; vel[1] = 0; vel[2] = 0;
+        ball.roll[0] = 0; ball.roll[1] = 0;
+        result.stopped = true;
+    }
+
+    return result;
+}
+
+/**
+ * Roll a ball to completion (captured, at rest, off the green or out of steps).
+ * Returns { path, captured, holeSpeed, minDistToHole, rest: {x, z}, entry }.
+ * path holds every recordEvery-th position when recordEvery > 0.
+ */
+export function simulatePutt(green, ball, { dt = getPhysicsDt(), maxSteps = SIM_MAX_STEPS, recordEvery = 0 } = {}) {
+    const path = recordEvery > 0 ? [ball.pos.slice()] : null;
+    let captured = false;
+    let holeSpeed = Infinity;
+    let minDistToHole = distToHole(green, ball.pos[0], ball.pos[2]);
+    let entry = null;
+
+    for (let step = 0; step < maxSteps; step++) {
+        const r = stepBall(green, ball, dt);
+        const p = ball.pos;
+
+        if (path && step % recordEvery === 0) path.push(p.slice());
+
+        const dh = distToHole(green, p[0], p[2]);
+        if (dh < minDistToHole) minDistToHole = dh;
+
+        if (r.captured) {
+            captured = true;
+            entry = r.entry;
+            holeSpeed = Math.hypot(entry.vel[0], entry.vel[2]);
+            if (path) path.push(entry.pos.slice());
+            break;
+        }
+        if (r.stopped) break;
+        if (green.inBounds && !green.inBounds(p[0], p[2])) break;
+    }
+
+    return { path, captured, holeSpeed, minDistToHole, rest: { x: ball.pos[0], z: ball.pos[2] }, entry };
+}
+
+/**
+ * Share of the speed into the flagstick that bounces back: the pin flexes and soaks up
+ * a soft hit, which stays in the cup, but springs a firm one back out of it.
+ */
+export function flagstickRestitution(speed) {
+    const t = Math.min(1, Math.max(0, (speed - FLAGSTICK_SOFT_SPEED) / (FLAGSTICK_FIRM_SPEED - FLAGSTICK_SOFT_SPEED)));
+    return FLAGSTICK_RESTITUTION + (FLAGSTICK_RESTITUTION_FIRM - FLAGSTICK_RESTITUTION) * t;
+}
+
+/**
+ * Fastest rolling entry speed the cup holds for a ball crossing the rim at a lateral
+ * offset (m, signed: positive is right of travel) from the hole center, heading (dirX, dirZ).
+ * Speeds are scanned from slow to fast and the first miss after a make is bisected, so
+ * a faster lucky make (off the back wall) doesn't count. Returns 0 if nothing drops.
+ */
+export function maxCaptureSpeed(green, offset, { dirX = 1, dirZ = 0, dt = getPhysicsDt() } = {}) {
+    const { hole, terrain } = green;
+    const len = Math.hypot(dirX, dirZ) || 1;
+    const ux = dirX / len, uz = dirZ / len;
+    const back = Math.sqrt(Math.max(0, (HOLE_RADIUS_M + BALL_RADIUS_M) ** 2 - offset * offset));
+    const x = hole.x - ux * back - uz * offset;
+    const z = hole.z - uz * back + ux * offset;
+    const y = terrain.height(x, z) + BALL_RADIUS_M;
+    const reach = HOLE_RADIUS_M + 0.25;
+    const trial = { ...green, inBounds: (px, pz) => distToHole(green, px, pz) < reach };
+    const holds = speed =>
+        simulatePutt(trial, createBall([x, y, z], [ux * speed, 0, uz * speed]), { dt }).captured;
+
+    let made = false;
+    for (let v = CAPTURE_SCAN_STEP; v <= CAPTURE_SCAN_MAX; v += CAPTURE_SCAN_STEP) {
+        if (holds(v)) { made = true; continue; }
+        if (!made) continue;
+        let lo = v - CAPTURE_SCAN_STEP, hi = v;
+        for (let i = 0; i < 6; i++) {
+            const mid = (lo + hi) / 2;
+            if (holds(mid)) lo = mid; else hi = mid;
+        }
+        return lo;
+    }
+    return made ? CAPTURE_SCAN_MAX : 0;
+}
@@ -0,0 +1,108 @@
+// Scenario codes — compact, URL-safe encoding of a putt setup so a link can
+// reopen the simulator in exactly the same state.
+//
+// Format: "key=value&key=value…", every value numeric, points as "x,z",
+// lists as "a,b,c;a,b,c".
+// Unknown keys are ignored and missing ones left unset, so codes stay readable
+// by later versions.
+
+// Field key, scenario property, decimals
+const SCALAR_FIELDS = [
+    ['g', 'seed', 0],
+    ['sl', 'slope', 2],
+    ['sa', 'slopeAzimuth', 0],
+    ['st', 'stimp', 2],
+    ['tr', 'trueRoll', 2],
+    ['la', 'launch', 0],
+    ['ss', 'strikeSpin', 1],
+    ['fs', 'flagstick', 0],
+    ['gr', 'gridSize', 0],
+    ['un', 'undulation', 2],
+    ['gm', 'grainMode', 0],
+    ['gd', 'grainDir', 0],
+    ['gs', 'grainStrength', 2],
+    ['sv', 'speedVariation', 2],
+    ['bm', 'ballMarks', 0],
+    ['sk', 'spikePaths', 0],
+    ['ae', 'aerationSpacing', 3],
+    ['ad', 'aerationDepth', 3],
+    ['su', 'substeps', 0],
+];
+const POINT_FIELDS = [
+    ['h', 'hole', 3],
+    ['b', 'ball', 3],
+    ['a', 'aim', 3],
+];
+// Field key, scenario property, decimals per column
+const LIST_FIELDS = [
+    ['f', 'features', [0, 2, 2, 0, 3, 2]], // green features: type index, x, z, angle, height, width
+    ['oc', 'octaves', [5, 2]],             // generator noise octaves: amplitude, wavelength
+    ['pm', 'placedMarks', [0, 3, 3, 0]],   // surface marks placed by hand: type index, x, z, angle
+];
+
+function fmt(v, decimals) {
+    // Drop trailing zeros so common values stay short ("3" rather than "3.00")
+    return String(Number(v.toFixed(decimals)));
+}
+
+/**
+ * Encode a scenario { seed, slope, slopeAzimuth, stimp, trueRoll, launch, strikeSpin, flagstick (1 = in),
+ * gridSize, undulation, grainMode, grainDir, grainStrength, speedVariation,
+ * ballMarks, spikePaths, aerationSpacing, aerationDepth, substeps,
+ * hole: {x, z}, ball: {x, z}, aim: {x, z}, features: [[type, x, z, angle, height, width], …],
+ * octaves: [[amplitude, wavelength], …], placedMarks: [[type, x, z, angle], …] }. Any field may be omitted.
+ */
+export function encodeScenario(sc) {
+    const parts = [];
+    for (const [key, prop, decimals] of SCALAR_FIELDS) {
+        if (Number.isFinite(sc[prop])) parts.push(`${key}=${fmt(sc[prop], decimals)}`);
+    }
+    for (const [key, prop, decimals] of POINT_FIELDS) {
+        const p = sc[prop];
+        if (p && Number.isFinite(p.x) && Number.isFinite(p.z)) {
+            parts.push(`${key}=${fmt(p.x, decimals)},${fmt(p.z, decimals)}`);
+        }
+    }
+    for (const [key, prop, decimals] of LIST_FIELDS) {
+        const list = sc[prop];
+        if (!Array.isArray(list)) continue;
+        parts.push(`${key}=${list.map(row => row.map((v, i) => fmt(v, decimals[i])).join(',')).join(';')}`);
+    }
+    return parts.join('&');
+}
+
+/**
+ * Decode a scenario code (a leading "#" or "?" is allowed).
+ * Returns only the fields that are present and valid.
+ */
+export function decodeScenario(code) {
+    const sc = {};
+    let text;
+    try {
+        text = decodeURIComponent(code.replace(/^[#?]/, ''));
+    } catch {
+        return sc; // malformed escape sequence
+    }
+    const values = new Map();
+    for (const part of text.split('&')) {
+        const eq = part.indexOf('=');
+        if (eq > 0) values.set(part.slice(0, eq), part.slice(eq + 1));
+    }
+    for (const [key, prop] of SCALAR_FIELDS) {
+        const v = parseFloat(values.get(key));
+        if (Number.isFinite(v)) sc[prop] = v;
+    }
+    for (const [key, prop] of POINT_FIELDS) {
+        const raw = values.get(key);
+        if (!raw) continue;
+        const [x, z] = raw.split(',').map(parseFloat);
+        if (Number.isFinite(x) && Number.isFinite(z)) sc[prop] = { x, z };
+    }
+    for (const [key, prop, decimals] of LIST_FIELDS) {
+        const raw = values.get(key);
+        if (raw == null) continue;
+        const list = raw ? raw.split(';').map(row => row.split(',').map(parseFloat)) : []; // "f=" is an empty list
+        if (list.every(row => row.length === decimals.length && row.every(Number.isFinite))) sc[prop] = list;
+    }
+    return sc;
+}
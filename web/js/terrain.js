@@ -9,7 +9,7 @@ export const TR_SMOOTH_PASSES = 8;
 export const HEIGHT_SCALE = 0.01;
 
 // Seeded PRNG (mulberry32) so terrain is reproducible when seed is given
-function mulberry32(seed) {
+export function mulberry32(seed) {
     let s = seed | 0;
     return function () {
         s = (s + 0x6D2B79F5) | 0;
@@ -95,11 +95,658 @@ const TR_MIN_SPEED = 0.8;
 export function setTrueRollStrength(s) { TRUE_ROLL_STRENGTH = s; }
 export function getTrueRollStrength() { return TRUE_ROLL_STRENGTH; }
 
-export function buildTrueRollGrids(seed) {
+// ---- Generator settings ----
+// The noise height map is a sum of octaves: white noise smoothed to roughly the
+// octave's wavelength, scaled so its peak is the octave's amplitude (m), then
+// multiplied by the overall undulation.
+export const GENERATOR_OCTAVES_MAX = 4;
+export const GRID_SIZE_MIN = 20;
+export const GRID_SIZE_MAX = 100;
+const WAVELENGTH_MIN = 0.25;
+const WAVELENGTH_MAX = 12.0;
+
+export function defaultGeneratorSettings() {
+    return {
+        gridSize: TR_GRID_SIZE,
+        undulation: 1.0,
+        octaveCount: 1,
+        octaves: [
+            { amplitude: 0.001, wavelength: 4.0 }, // the original single octave (TR_TARGET_AMP × HEIGHT_SCALE)
+            { amplitude: 0.0005, wavelength: 2.0 },
+            { amplitude: 0.00025, wavelength: 1.0 },
+            { amplitude: 0.0001, wavelength: 0.5 },
+        ],
+    };
+}
+
+let GENERATOR = defaultGeneratorSettings();
+
+export function getGeneratorSettings() {
+    return { ...GENERATOR, octaves: GENERATOR.octaves.map(o => ({ ...o })) };
+}
+
+/** Replace the generator settings; missing or invalid fields fall back to the defaults, the rest is clamped. */
+export function setGeneratorSettings(settings) {
+    const def = defaultGeneratorSettings();
+    const num = (v, lo, hi, fallback) => Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : fallback;
+    const octaves = Array.isArray(settings.octaves) ? settings.octaves : [];
+    GENERATOR = {
+        gridSize: Math.round(num(settings.gridSize, GRID_SIZE_MIN, GRID_SIZE_MAX, def.gridSize)),
+        undulation: num(settings.undulation, 0, 5, def.undulation),
+        octaveCount: Math.round(num(settings.octaveCount, 1, GENERATOR_OCTAVES_MAX, def.octaveCount)),
+        octaves: def.octaves.map((d, i) => ({
+            amplitude: num(octaves[i]?.amplitude, 0, 0.1, d.amplitude),
+            wavelength: num(octaves[i]?.wavelength, WAVELENGTH_MIN, WAVELENGTH_MAX, d.wavelength),
+        })),
+    };
+}
+
+// Each 3×3 smoothing pass spreads the noise by a variance of 2/3 cell²; this many
+// passes leave features about one wavelength across (the original 10 passes ≈ 4 m)
+function smoothPassesFor(wavelength, cell) {
+    return Math.round(1.5 * (wavelength / (2 * Math.PI * cell)) ** 2);
+}
+
+/**
+ * Build all terrain grids from a seed with the current generator settings.
+ * The height grid is the noise octaves plus the structured features
+ * (generated from the same seed unless given).
+ */
+export function buildTrueRollGrids(seed, features = generateFeatures(seed)) {
     const rng = makeRng(seed);
-    TRUE_ROLL_AX = normalizeGrid(smoothGrid(makeNoiseGrid(TR_GRID_SIZE, TR_BASE_AMP, rng), TR_SMOOTH_PASSES), TR_TARGET_AMP);
-    TRUE_ROLL_AY = normalizeGrid(smoothGrid(makeNoiseGrid(TR_GRID_SIZE, TR_BASE_AMP, rng), TR_SMOOTH_PASSES), TR_TARGET_AMP);
-    HEIGHT_GRID = normalizeGrid(smoothGrid(makeNoiseGrid(TR_GRID_SIZE, TR_BASE_AMP, rng), TR_SMOOTH_PASSES + 2), TR_TARGET_AMP);
+    const size = GENERATOR.gridSize;
+    const cell = TR_WORLD_SIZE / (size - 1);
+    // True roll keeps its physical grain size at any resolution
+    const trPasses = Math.round(TR_SMOOTH_PASSES * (TR_WORLD_SIZE / (TR_GRID_SIZE - 1) / cell) ** 2);
+    TRUE_ROLL_AX = normalizeGrid(smoothGrid(makeNoiseGrid(size, TR_BASE_AMP, rng), trPasses), TR_TARGET_AMP);
+    TRUE_ROLL_AY = normalizeGrid(smoothGrid(makeNoiseGrid(size, TR_BASE_AMP, rng), trPasses), TR_TARGET_AMP);
+
+    HEIGHT_GRID = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (const o of GENERATOR.octaves.slice(0, GENERATOR.octaveCount)) {
+        const passes = smoothPassesFor(o.wavelength, cell);
+        const amp = o.amplitude * GENERATOR.undulation / HEIGHT_SCALE;
+        const octave = normalizeGrid(smoothGrid(makeNoiseGrid(size, TR_BASE_AMP, rng), passes), amp);
+        for (let iy = 0; iy < size; iy++) {
+            for (let ix = 0; ix < size; ix++) HEIGHT_GRID[iy][ix] += octave[iy][ix];
+        }
+    }
+    GREEN_FEATURES = features.map(f => ({ ...f }));
+    addFeatures(HEIGHT_GRID, GREEN_FEATURES);
+    GRID_SEED = seed;
+    buildGrainGrids();
+    buildSpeedMap();
+    buildSurfaceMarks();
+}
+
+/** Resolution of the current height grid (cells per side). */
+export function getGridSize() {
+    return HEIGHT_GRID ? HEIGHT_GRID.length : GENERATOR.gridSize;
+}
+
+// ---- Structured features ----
+// Parametric shapes layered on the noise: { type, x, z, angle (deg), height (m), width (m) }.
+// angle turns the feature's cross-section axis away from +X; heights are in meters.
+export const FEATURE_TYPES = ['tier', 'ridge', 'swale', 'falseFront', 'crown'];
+const FEATURE_SEED_SALT = 0xFEA7;
+let GREEN_FEATURES = [];
+let GRID_SEED = null; // green seed the grain and speed grids derive from
+
+function smoothstep(e0, e1, t) {
+    const u = Math.min(Math.max((t - e0) / (e1 - e0), 0), 1);
+    return u * u * (3 - 2 * u);
+}
+
+/** Height (m) that one feature adds at (x, z). */
+export function featureHeight(f, x, z) {
+    const a = f.angle * Math.PI / 180;
+    const dx = x - f.x, dz = z - f.z;
+    const u = dx * Math.cos(a) + dz * Math.sin(a); // across the feature
+    const w = Math.max(f.width, 0.05);
+    const bump = Math.exp(-4 * u * u / (w * w)); // Gaussian cross-section, w ≈ full width
+    switch (f.type) {
+        case 'tier':       return f.height * (smoothstep(-w / 2, w / 2, u) - 0.5); // two decks, ramp of width w
+        case 'ridge':      return f.height * bump;
+        case 'swale':      return -f.height * bump;
+        case 'falseFront': return -f.height * (1 - smoothstep(-w, 0, u));        // drops off in front of the line
+        case 'crown': {
+            const r = Math.hypot(dx, dz) / w;
+            return r < 1 ? f.height * (1 - r * r) ** 2 : 0;
+        }
+        default: return 0;
+    }
+}
+
+function addFeatures(grid, features) {
+    const size = grid.length;
+    const step = TR_WORLD_SIZE / (size - 1);
+    for (let iy = 0; iy < size; iy++) {
+        const z = -TR_WORLD_SIZE / 2 + iy * step;
+        for (let ix = 0; ix < size; ix++) {
+            const x = -TR_WORLD_SIZE / 2 + ix * step;
+            let h = 0;
+            for (const f of features) h += featureHeight(f, x, z);
+            grid[iy][ix] += h / HEIGHT_SCALE;
+        }
+    }
+}
+
+/** Zero to two random features for a green seed (random when seed is null). */
+export function generateFeatures(seed) {
+    const rng = makeRng(seed != null ? seed ^ FEATURE_SEED_SALT : null);
+    const count = Math.floor(rng.uniform(0, 3));
+    const features = [];
+    for (let i = 0; i < count; i++) {
+        const type = FEATURE_TYPES[Math.floor(rng.uniform(0, FEATURE_TYPES.length))];
+        const angle = Math.round(rng.uniform(0, 360));
+        const f = { type, x: rng.uniform(-2.5, 2.5), z: rng.uniform(-2.5, 2.5), angle, height: 0, width: 1 };
+        switch (type) {
+            case 'tier':  f.height = rng.uniform(0.03, 0.08); f.width = rng.uniform(0.6, 1.5); break;
+            case 'ridge': f.height = rng.uniform(0.02, 0.05); f.width = rng.uniform(0.8, 2.0); break;
+            case 'swale': f.height = rng.uniform(0.02, 0.05); f.width = rng.uniform(1.0, 2.5); break;
+            case 'crown': f.height = rng.uniform(0.02, 0.05); f.width = rng.uniform(2.5, 4.0); break;
+            case 'falseFront': {
+                // Along the edge of the green, facing out
+                const a = angle * Math.PI / 180;
+                f.x = -3.5 * Math.cos(a);
+                f.z = -3.5 * Math.sin(a);
+                f.height = rng.uniform(0.05, 0.1);
+                f.width = rng.uniform(0.8, 1.5);
+                break;
+            }
+        }
+        features.push(f);
+    }
+    return features;
+}
+
+/** Features baked into the current height grid (copies). */
+export function getFeatures() {
+    return GREEN_FEATURES.map(f => ({ ...f }));
+}
+
+// ---- Imported grids ----
+
+/**
+ * Resample a source grid (rows along Z, columns along X, cellSize meters apart,
+ * centered on the origin) onto the size×size terrain grid. Samples outside the
+ * source extent take the nearest edge value.
+ */
+export function resampleGrid(rows, cellSize, size = GENERATOR.gridSize, worldSize = TR_WORLD_SIZE) {
+    const nRows = rows.length, nCols = rows[0].length;
+    const halfW = (nCols - 1) * cellSize / 2;
+    const halfH = (nRows - 1) * cellSize / 2;
+    const step = worldSize / (size - 1);
+    const out = [];
+    for (let iy = 0; iy < size; iy++) {
+        const z = -worldSize / 2 + iy * step;
+        const fy = Math.min(Math.max((z + halfH) / cellSize, 0), nRows - 1);
+        const y0 = Math.floor(fy), y1 = Math.min(y0 + 1, nRows - 1), ty = fy - y0;
+        const row = new Array(size);
+        for (let ix = 0; ix < size; ix++) {
+            const x = -worldSize / 2 + ix * step;
+            const fx = Math.min(Math.max((x + halfW) / cellSize, 0), nCols - 1);
+            const x0 = Math.floor(fx), x1 = Math.min(x0 + 1, nCols - 1), tx = fx - x0;
+            row[ix] = (rows[y0][x0] * (1 - tx) + rows[y0][x1] * tx) * (1 - ty)
+                    + (rows[y1][x0] * (1 - tx) + rows[y1][x1] * tx) * ty;
+        }
+        out.push(row);
+    }
+    return out;
+}
+
+/**
+ * Replace the height grid with surveyed elevations (meters before verticalScale).
+ * The mean elevation is removed so the surface sits around y = 0 like generated terrain.
+ */
+export function importHeightGrid(rows, cellSize, verticalScale = 1.0) {
+    const grid = resampleGrid(rows, cellSize);
+    let mean = 0;
+    for (const row of grid) for (const v of row) mean += v;
+    mean /= grid.length * grid.length;
+    HEIGHT_GRID = grid.map(row => row.map(v => (v - mean) * verticalScale / HEIGHT_SCALE));
+}
+
+/** Replace one true-roll grid ('x' or 'z') with imported base accelerations (m/s², before trueRollAccel's speed scale). */
+export function importTrueRollGrid(axis, rows, cellSize) {
+    const grid = resampleGrid(rows, cellSize);
+    if (axis === 'x') TRUE_ROLL_AX = grid;
+    else TRUE_ROLL_AY = grid;
+}
+
+// ---- Sculpting ----
+
+const copyGrid = (grid) => grid && grid.map(row => row.slice());
+
+/**
+ * Apply one brush dab to the height grid around (x, z), weighted by a smooth
+ * falloff that is 1 at the center and 0 at radius.
+ * 'raise' / 'lower': move by amount meters at the center.
+ * 'smooth': blend by amount (0..1) toward the 3×3 neighborhood mean.
+ * 'flatten': blend by amount (0..1) toward targetHeight (m).
+ * Returns false when the brush misses the grid.
+ */
+export function sculptHeight(mode, x, z, radius, amount, targetHeight = 0) {
+    if (!HEIGHT_GRID) return false;
+    const size = HEIGHT_GRID.length;
+    const src = mode === 'smooth' ? copyGrid(HEIGHT_GRID) : HEIGHT_GRID;
+    return forEachBrushCell(size, x, z, radius, (ix, iy, w) => {
+        const v = src[iy][ix];
+        switch (mode) {
+            case 'raise': HEIGHT_GRID[iy][ix] = v + w * amount / HEIGHT_SCALE; break;
+            case 'lower': HEIGHT_GRID[iy][ix] = v - w * amount / HEIGHT_SCALE; break;
+            case 'flatten': HEIGHT_GRID[iy][ix] = v + (targetHeight / HEIGHT_SCALE - v) * w * amount; break;
+            case 'smooth': {
+                let total = 0, count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const yy = iy + dy, xx = ix + dx;
+                        if (yy >= 0 && yy < size && xx >= 0 && xx < size) {
+                            total += src[yy][xx];
+                            count++;
+                        }
+                    }
+                }
+                HEIGHT_GRID[iy][ix] = v + (total / count - v) * w * amount;
+                break;
+            }
+        }
+    });
+}
+
+// Calls visit(ix, iy, weight) for each node of a size×size grid inside the brush;
+// false when the brush misses the grid
+function forEachBrushCell(size, x, z, radius, visit) {
+    const half = TR_WORLD_SIZE / 2;
+    const step = TR_WORLD_SIZE / (size - 1);
+    const ix0 = Math.max(0, Math.ceil((x - radius + half) / step));
+    const ix1 = Math.min(size - 1, Math.floor((x + radius + half) / step));
+    const iy0 = Math.max(0, Math.ceil((z - radius + half) / step));
+    const iy1 = Math.min(size - 1, Math.floor((z + radius + half) / step));
+    if (ix0 > ix1 || iy0 > iy1) return false;
+    for (let iy = iy0; iy <= iy1; iy++) {
+        for (let ix = ix0; ix <= ix1; ix++) {
+            const d = Math.hypot(-half + ix * step - x, -half + iy * step - z) / radius;
+            if (d < 1) visit(ix, iy, (1 - d * d) * (1 - d * d));
+        }
+    }
+    return true;
+}
+
+// ---- Snapshots (export / reload) ----
+
+/**
+ * Copies of the current grids: height in grid units (× HEIGHT_SCALE = m), true roll in m/s²,
+ * plus the features baked into the height grid.
+ */
+export function getTerrainGrids() {
+    return {
+        height: copyGrid(HEIGHT_GRID),
+        trueRollX: copyGrid(TRUE_ROLL_AX),
+        trueRollZ: copyGrid(TRUE_ROLL_AY),
+        features: getFeatures(),
+        speed: copyGrid(SPEED_MAP),
+        seed: GRID_SEED,
+    };
+}
+
+/**
+ * Load grids saved by getTerrainGrids. Grids made for another world size are
+ * resampled, and heights stored with another height scale are converted.
+ * A saved speed map is loaded as a painted one; without one the speed map is off.
+ * seed, when given, is the green seed the grain and surface marks are scattered from
+ * (set the grain and mark settings afterwards to rebuild them).
+ */
+export function setTerrainGrids({ height, trueRollX, trueRollZ, features = [], speed = null, seed = null }, worldSize = TR_WORLD_SIZE, heightScale = HEIGHT_SCALE) {
+    const fit = (grid) => worldSize === TR_WORLD_SIZE
+        ? copyGrid(grid)
+        : resampleGrid(grid, worldSize / (grid.length - 1), grid.length);
+    HEIGHT_GRID = fit(height).map(row => row.map(v => v * heightScale / HEIGHT_SCALE));
+    TRUE_ROLL_AX = fit(trueRollX);
+    TRUE_ROLL_AY = fit(trueRollZ);
+    GREEN_FEATURES = features.map(f => ({ ...f }));
+    SPEED_MAP = speed
+        ? fit(speed).map(row => row.map(v => Math.min(SPEED_SCALE_MAX, Math.max(SPEED_SCALE_MIN, v))))
+        : null;
+    SPEED.mode = speed ? 'painted' : 'off';
+    if (seed != null) GRID_SEED = seed;
+}
+
+/**
+ * Everything terrainSampler reads, as plain data that survives structured cloning,
+ * so a worker can sample the same green after setSamplerState.
+ */
+export function getSamplerState() {
+    return {
+        height: HEIGHT_GRID,
+        trueRollX: TRUE_ROLL_AX,
+        trueRollZ: TRUE_ROLL_AY,
+        trueRollStrength: TRUE_ROLL_STRENGTH,
+        grain: { ...GRAIN },
+        grainX: GRAIN_GX,
+        grainZ: GRAIN_GZ,
+        speed: SPEED_MAP,
+        marks: getSurfaceMarkSettings(),
+        markList: getSurfaceMarks(),
+    };
+}
+
+/** Load a getSamplerState snapshot (the marks come as one fixed list). */
+export function setSamplerState(state) {
+    HEIGHT_GRID = state.height;
+    TRUE_ROLL_AX = state.trueRollX;
+    TRUE_ROLL_AY = state.trueRollZ;
+    TRUE_ROLL_STRENGTH = state.trueRollStrength;
+    GRAIN = { ...state.grain };
+    GRAIN_GX = state.grainX;
+    GRAIN_GZ = state.grainZ;
+    SPEED_MAP = state.speed;
+    MARKS = { ...state.marks, center: { ...state.marks.center } };
+    SEEDED_MARKS = state.markList.map(m => ({ ...m }));
+    PLACED_MARKS = [];
+    bucketSurfaceMarks();
+}
+
+// ---- Grass grain ----
+// Direction the grass lies toward (degrees, like the slope azimuth: 0 = +Z, 90 = +X)
+// and a 0..1 strength. 'uniform' is one direction everywhere; 'varying' bends and
+// thins it across the green with smooth noise from the green seed.
+export const GRAIN_MODES = ['off', 'uniform', 'varying'];
+const GRAIN_SEED_SALT = 0x6A41;
+const GRAIN_VARY_DEG = 60;        // max bend of the varying grain from its main direction
+const GRAIN_VARY_WAVELENGTH = 3.0; // size of the patches it bends over (m)
+
+let GRAIN = { mode: 'off', direction: 0, strength: 0.5 };
+let GRAIN_GX = null;
+let GRAIN_GZ = null;
+
+export function getGrainSettings() { return { ...GRAIN }; }
+
+/** Set { mode, direction, strength } (missing fields keep their value). */
+export function setGrainSettings({ mode = GRAIN.mode, direction = GRAIN.direction, strength = GRAIN.strength }) {
+    GRAIN = {
+        mode: GRAIN_MODES.includes(mode) ? mode : 'off',
+        direction: Number.isFinite(direction) ? ((direction % 360) + 360) % 360 : 0,
+        strength: Number.isFinite(strength) ? Math.min(1, Math.max(0, strength)) : 0,
+    };
+    buildGrainGrids();
+}
+
+// Grain vector grids (direction × strength) for the current settings and green seed
+function buildGrainGrids() {
+    GRAIN_GX = GRAIN_GZ = null;
+    if (GRAIN.mode !== 'varying') return;
+    const rng = makeRng(GRID_SEED != null ? GRID_SEED ^ GRAIN_SEED_SALT : null);
+    const size = GENERATOR.gridSize;
+    const passes = smoothPassesFor(GRAIN_VARY_WAVELENGTH, TR_WORLD_SIZE / (size - 1));
+    const bend = normalizeGrid(smoothGrid(makeNoiseGrid(size, 1, rng), passes), 1);
+    const thin = normalizeGrid(smoothGrid(makeNoiseGrid(size, 1, rng), passes), 1);
+    GRAIN_GX = bend.map(() => new Array(size));
+    GRAIN_GZ = bend.map(() => new Array(size));
+    for (let iy = 0; iy < size; iy++) {
+        for (let ix = 0; ix < size; ix++) {
+            const a = (GRAIN.direction + bend[iy][ix] * GRAIN_VARY_DEG) * Math.PI / 180;
+            const s = GRAIN.strength * (0.75 + 0.25 * thin[iy][ix]);
+            GRAIN_GX[iy][ix] = Math.sin(a) * s;
+            GRAIN_GZ[iy][ix] = Math.cos(a) * s;
+        }
+    }
+}
+
+/** Grain at (x, z) as a vector { x, z }: the direction the grass lies, length = strength (0..1). */
+export function grainAt(x, z) {
+    if (GRAIN.mode === 'uniform') {
+        const a = GRAIN.direction * Math.PI / 180;
+        return { x: Math.sin(a) * GRAIN.strength, z: Math.cos(a) * GRAIN.strength };
+    }
+    if (GRAIN.mode === 'varying' && GRAIN_GX) {
+        return {
+            x: bilinearSample(GRAIN_GX, x, z, TR_WORLD_SIZE),
+            z: bilinearSample(GRAIN_GZ, x, z, TR_WORLD_SIZE),
+        };
+    }
+    return { x: 0, z: 0 };
+}
+
+// ---- Green speed map ----
+// Optional per-point multiplier on the green's stimp (1 = the set stimp), on the
+// terrain grid. 'generated' builds it from the green seed: damp patches that run
+// slow, crowns that run firm and one freshly rolled strip. 'painted' is a map
+// edited with the speed brush (or loaded from a green file).
+export const SPEED_MAP_MODES = ['off', 'generated', 'painted'];
+export const SPEED_SCALE_MIN = 0.5;
+export const SPEED_SCALE_MAX = 1.5;
+const SPEED_SEED_SALT = 0x5BEED;
+const SPEED_PATCH_WAVELENGTH = 3.5; // size of damp / firm patches (m)
+const SPEED_CROWN_SHARE = 0.4;      // part of the variation that follows the height (higher = firmer)
+const SPEED_STRIP_WIDTH = 1.5;      // rolled strip width (m)
+const SPEED_STRIP_GAIN = 0.5;       // rolled strip speed-up, as a fraction of the variation
+
+let SPEED = { mode: 'off', variation: 0.2 };
+let SPEED_MAP = null;
+
+export function getSpeedMapSettings() { return { ...SPEED }; }
+
+/**
+ * Set { mode, variation } (missing fields keep their value). variation is the
+ * largest speed change of a generated map (0..0.5 = ±50%). Switching to 'painted'
+ * keeps the current map, starting from a uniform one when there is none.
+ */
+export function setSpeedMapSettings({ mode = SPEED.mode, variation = SPEED.variation }) {
+    SPEED = {
+        mode: SPEED_MAP_MODES.includes(mode) ? mode : 'off',
+        variation: Number.isFinite(variation) ? Math.min(0.5, Math.max(0, variation)) : 0,
+    };
+    buildSpeedMap();
+}
+
+// (Re)build the speed map for the current mode, green seed and height grid.
+// Painted maps are kept, resampled when the grid resolution changed.
+function buildSpeedMap() {
+    const size = getGridSize();
+    if (SPEED.mode === 'off') {
+        SPEED_MAP = null;
+    } else if (SPEED.mode === 'painted') {
+        if (!SPEED_MAP) SPEED_MAP = Array.from({ length: size }, () => new Array(size).fill(1));
+        else if (SPEED_MAP.length !== size) SPEED_MAP = resampleGrid(SPEED_MAP, TR_WORLD_SIZE / (SPEED_MAP.length - 1), size);
+    } else {
+        const rng = makeRng(GRID_SEED != null ? GRID_SEED ^ SPEED_SEED_SALT : null);
+        const passes = smoothPassesFor(SPEED_PATCH_WAVELENGTH, TR_WORLD_SIZE / (size - 1));
+        const patches = normalizeGrid(smoothGrid(makeNoiseGrid(size, 1, rng), passes), 1);
+        const crowns = HEIGHT_GRID && HEIGHT_GRID.length === size ? normalizeGrid(HEIGHT_GRID, 1) : null;
+        const stripAngle = rng.uniform(0, Math.PI);
+        const stripOffset = rng.uniform(-3, 3);
+        const half = TR_WORLD_SIZE / 2, step = TR_WORLD_SIZE / (size - 1);
+        SPEED_MAP = patches.map((row, iy) => row.map((p, ix) => {
+            const x = -half + ix * step, z = -half + iy * step;
+            const across = x * Math.cos(stripAngle) + z * Math.sin(stripAngle) - stripOffset;
+            const strip = smoothstep(SPEED_STRIP_WIDTH / 2 + 0.3, SPEED_STRIP_WIDTH / 2 - 0.3, Math.abs(across));
+            const shape = crowns
+                ? (1 - SPEED_CROWN_SHARE) * p + SPEED_CROWN_SHARE * crowns[iy][ix]
+                : p;
+            const scale = 1 + SPEED.variation * (shape + SPEED_STRIP_GAIN * strip);
+            return Math.min(SPEED_SCALE_MAX, Math.max(SPEED_SCALE_MIN, scale));
+        }));
+    }
+}
+
+/**
+ * Paint the speed map around (x, z): change the multiplier by amount (+ faster,
+ * - slower) at the brush center with the sculpt falloff. Switches to 'painted'.
+ */
+export function paintSpeed(x, z, radius, amount) {
+    if (SPEED.mode !== 'painted') setSpeedMapSettings({ mode: 'painted' });
+    return forEachBrushCell(SPEED_MAP.length, x, z, radius, (ix, iy, w) => {
+        const v = SPEED_MAP[iy][ix] + w * amount;
+        SPEED_MAP[iy][ix] = Math.min(SPEED_SCALE_MAX, Math.max(SPEED_SCALE_MIN, v));
+    });
+}
+
+/** Stimp multiplier at (x, z); 1 when the speed map is off. */
+export function speedScaleAt(x, z) {
+    return SPEED_MAP ? bilinearSample(SPEED_MAP, x, z, TR_WORLD_SIZE) : 1;
+}
+
+// ---- Surface imperfections ----
+// Small marks on top of the height grid, far finer than its cells, so they are
+// kept as a list and evaluated exactly: ball marks (pitch dents), spike-mark
+// scuffs (raised tufts along walking paths into the hole) and an optional
+// aeration pattern of holes. Sizes are what the ball feels: it bridges anything
+// narrower than itself, so a deep aeration hole only lets it sink so far.
+// Marks change the surface slope under the ball (see getTerrainNormal), which
+// matters most when it is slow and spends longest on them.
+// Mark: { type, x, z, angle } (angle: heading of a spike scuff, 0 = +Z, 90 = +X).
+export const SURFACE_MARK_TYPES = ['ballMark', 'spikeMark'];
+const MARKS_SEED_SALT = 0x3A2C;
+export const BALL_MARK_RADIUS = 0.02;     // dent radius as the ball rolls over it (m)
+const BALL_MARK_DEPTH = 0.003;            // (m)
+export const SPIKE_MARK_LENGTH = 0.018;   // half-length of a scuff along the walking line (m)
+export const SPIKE_MARK_WIDTH = 0.01;     // half-width (m)
+const SPIKE_MARK_HEIGHT = 0.002;          // (m)
+export const AERATION_HOLE_RADIUS = 0.006; // (m)
+const AERATION_SINK_MAX = 0.0008;         // deepest the ball reaches into an aeration hole (m)
+const BALL_MARK_REACH = 4.0;              // seeded ball marks lie within this distance of the pin (m)
+const SPIKE_PATH_STEP = 0.12;             // stride between scuffs on a walking path (m)
+const SPIKE_PATH_LENGTH = 4.0;            // walking path length up to the hole (m)
+const MARK_CELL = 0.1;                    // lookup bucket size (m)
+
+let MARKS = {
+    ballMarks: 0, spikePaths: 0,
+    aeration: false, aerationSpacing: 0.05, aerationDepth: 0.01,
+    center: { x: 0, z: 0 },
+};
+let SEEDED_MARKS = [];
+let PLACED_MARKS = [];
+let MARK_BUCKETS = new Map();
+
+export function getSurfaceMarkSettings() { return { ...MARKS, center: { ...MARKS.center } }; }
+
+/**
+ * Set { ballMarks, spikePaths, aeration, aerationSpacing (m), aerationDepth (m), center: {x, z} }
+ * (missing fields keep their value). The seeded marks are scattered from the green
+ * seed around center (the pin): ball marks anywhere near it, spike marks along
+ * spikePaths walking lines into it and in a ring where players stand.
+ */
+export function setSurfaceMarkSettings({
+    ballMarks = MARKS.ballMarks, spikePaths = MARKS.spikePaths, aeration = MARKS.aeration,
+    aerationSpacing = MARKS.aerationSpacing, aerationDepth = MARKS.aerationDepth, center = MARKS.center,
+}) {
+    const count = (v, max) => Number.isFinite(v) ? Math.min(max, Math.max(0, Math.round(v))) : 0;
+    MARKS = {
+        ballMarks: count(ballMarks, 200),
+        spikePaths: count(spikePaths, 20),
+        aeration: !!aeration,
+        aerationSpacing: Number.isFinite(aerationSpacing) ? Math.min(0.15, Math.max(0.03, aerationSpacing)) : 0.05,
+        aerationDepth: Number.isFinite(aerationDepth) ? Math.min(0.03, Math.max(0, aerationDepth)) : 0.01,
+        center: { x: center.x, z: center.z },
+    };
+    buildSurfaceMarks();
+}
+
+// Scatter the seeded marks for the current settings and green seed
+function buildSurfaceMarks() {
+    const rng = makeRng(GRID_SEED != null ? GRID_SEED ^ MARKS_SEED_SALT : null);
+    const { x: cx, z: cz } = MARKS.center;
+    const marks = [];
+    for (let i = 0; i < MARKS.ballMarks; i++) {
+        const a = rng.uniform(0, 2 * Math.PI);
+        const d = BALL_MARK_REACH * Math.sqrt(rng.uniform(0.01, 1));
+        marks.push({ type: 'ballMark', x: cx + d * Math.sin(a), z: cz + d * Math.cos(a), angle: 0 });
+    }
+    for (let p = 0; p < MARKS.spikePaths; p++) {
+        // Walk in from a random direction and stop short of the cup...
+        const from = rng.uniform(0, 360);
+        const stop = rng.uniform(0.3, 0.7);
+        const a = from * Math.PI / 180;
+        for (let d = SPIKE_PATH_LENGTH; d > stop; d -= SPIKE_PATH_STEP) {
+            const side = rng.uniform(-0.12, 0.12);
+            marks.push({
+                type: 'spikeMark',
+                x: cx + d * Math.sin(a) + side * Math.cos(a),
+                z: cz + d * Math.cos(a) - side * Math.sin(a),
+                angle: (from + 180 + rng.uniform(-25, 25) + 360) % 360,
+            });
+        }
+        // ...then shuffle around it to hole out and pick the ball out
+        for (let i = 0; i < 12; i++) {
+            const b = rng.uniform(0, 2 * Math.PI);
+            const d = rng.uniform(0.2, 0.9);
+            marks.push({ type: 'spikeMark', x: cx + d * Math.sin(b), z: cz + d * Math.cos(b), angle: rng.uniform(0, 360) });
+        }
+    }
+    SEEDED_MARKS = marks;
+    bucketSurfaceMarks();
+}
+
+function bucketSurfaceMarks() {
+    MARK_BUCKETS = new Map();
+    for (const m of [...SEEDED_MARKS, ...PLACED_MARKS]) {
+        const key = `${Math.floor(m.x / MARK_CELL)},${Math.floor(m.z / MARK_CELL)}`;
+        if (!MARK_BUCKETS.has(key)) MARK_BUCKETS.set(key, []);
+        MARK_BUCKETS.get(key).push(m);
+    }
+}
+
+/** Every mark on the green, seeded and placed. */
+export function getSurfaceMarks() {
+    return [...SEEDED_MARKS, ...PLACED_MARKS].map(m => ({ ...m }));
+}
+
+/** Marks placed by hand (kept when the seeded ones are scattered again). */
+export function getPlacedSurfaceMarks() { return PLACED_MARKS.map(m => ({ ...m })); }
+
+export function setPlacedSurfaceMarks(marks) {
+    PLACED_MARKS = marks
+        .filter(m => SURFACE_MARK_TYPES.includes(m.type) && Number.isFinite(m.x) && Number.isFinite(m.z))
+        .map(({ type, x, z, angle = 0 }) => ({ type, x, z, angle: Number.isFinite(angle) ? angle : 0 }));
+    bucketSurfaceMarks();
+}
+
+export function placeSurfaceMark(type, x, z, angle = 0) {
+    setPlacedSurfaceMarks([...PLACED_MARKS, { type, x, z, angle }]);
+}
+
+// Surface gradient (dh/dx, dh/dz) the marks add at (x, z)
+function surfaceMarkSlope(x, z) {
+    let gx = 0, gz = 0;
+    // A dent of depth D and radius a: h = -D (1 - ρ²/a²)², so ∇h = 4D (1 - ρ²/a²) (dx, dz) / a²
+    const dent = (dx, dz, radius, depth) => {
+        const q = (dx * dx + dz * dz) / (radius * radius);
+        if (q >= 1) return;
+        const k = 4 * depth * (1 - q) / (radius * radius);
+        gx += k * dx;
+        gz += k * dz;
+    };
+    const ix = Math.floor(x / MARK_CELL), iz = Math.floor(z / MARK_CELL);
+    for (let bz = iz - 1; bz <= iz + 1; bz++) {
+        for (let bx = ix - 1; bx <= ix + 1; bx++) {
+            const bucket = MARK_BUCKETS.get(`${bx},${bz}`);
+            if (!bucket) continue;
+            for (const m of bucket) {
+                const dx = x - m.x, dz = z - m.z;
+                if (m.type === 'ballMark') {
+                    dent(dx, dz, BALL_MARK_RADIUS, BALL_MARK_DEPTH);
+                    continue;
+                }
+                // Spike scuff: a raised ellipse along its heading
+                const a = m.angle * Math.PI / 180;
+                const sin = Math.sin(a), cos = Math.cos(a);
+                const u = dx * sin + dz * cos, v = dx * cos - dz * sin;
+                const L2 = SPIKE_MARK_LENGTH ** 2, W2 = SPIKE_MARK_WIDTH ** 2;
+                const q = u * u / L2 + v * v / W2;
+                if (q >= 1) continue;
+                const du = -4 * SPIKE_MARK_HEIGHT * (1 - q) * u / L2;
+                const dv = -4 * SPIKE_MARK_HEIGHT * (1 - q) * v / W2;
+                gx += du * sin + dv * cos;
+                gz += du * cos - dv * sin;
+            }
+        }
+    }
+    if (MARKS.aeration && MARKS.aerationDepth > 0) {
+        const s = MARKS.aerationSpacing;
+        const dx = x - Math.round(x / s) * s, dz = z - Math.round(z / s) * s;
+        dent(dx, dz, AERATION_HOLE_RADIUS, Math.min(MARKS.aerationDepth, AERATION_SINK_MAX));
+    }
+    return { x: gx, z: gz };
 }
 
 export function getTerrainHeight(x, z) {
@@ -113,22 +760,32 @@ export function getTerrainNormal(x, z) {
     const hnx = getTerrainHeight(x - eps, z);
     const hpz = getTerrainHeight(x, z + eps);
     const hnz = getTerrainHeight(x, z - eps);
-    const dx = (hpx - hnx) / (2 * eps);
-    const dz = (hpz - hnz) / (2 * eps);
+    const marks = surfaceMarkSlope(x, z);
+    const dx = (hpx - hnx) / (2 * eps) + marks.x;
+    const dz = (hpz - hnz) / (2 * eps) + marks.z;
     let nx = -dx, ny = 1.0, nz = -dz;
     const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
     return { x: nx / len, y: ny / len, z: nz / len };
 }
 
-export function trueRollAccel(x, z, vx, vz) {
-    if (TRUE_ROLL_STRENGTH <= 0 || !TRUE_ROLL_AX) return { ax: 0, az: 0 };
+export function trueRollAccel(x, z, vx, vz, strength = TRUE_ROLL_STRENGTH) {
+    if (strength <= 0 || !TRUE_ROLL_AX) return { ax: 0, az: 0 };
     const speed = Math.hypot(vx, vz);
     let scale;
     if (speed >= 1.0) scale = 0.1;
     else if (speed <= TR_MIN_SPEED) scale = 2.0;
     else scale = 2.0 - (speed - TR_MIN_SPEED) / (2.0 - TR_MIN_SPEED);
-    scale *= TRUE_ROLL_STRENGTH;
+    scale *= strength;
     const ax = bilinearSample(TRUE_ROLL_AX, x, z, TR_WORLD_SIZE) * scale;
     const az = bilinearSample(TRUE_ROLL_AY, x, z, TR_WORLD_SIZE) * scale;
     return { ax, az };
 }
+
+// Terrain sampler for the physics engine (see physics.js createGreen)
+export const terrainSampler = {
+    height: getTerrainHeight,
+    normal: getTerrainNormal,
+    trueRoll: trueRollAccel,
+    grain: grainAt,
+    speed: speedScaleAt,
+};